@@ -1,36 +1,92 @@
-const STORAGE_KEY = 'lang-sns-data';
-const DATA_VERSION = 1;
-const STORAGE_LIMIT = 5 * 1024 * 1024; // 5MB approximate
+const LEGACY_STORAGE_KEY = 'lang-sns-data';
+const DB_NAME = 'lang-sns';
+const DB_VERSION = 7;
+const RECORD_STORES = ['posts', 'replies', 'trash', 'tombstones', 'reviews', 'vocabulary'];
+const IMAGE_STORE = 'images';
+const RECORDING_STORE = 'recordings';
+// Stores of { id, blob }; each is kept in data[name] as an id → Blob map.
+const BLOB_STORES = [IMAGE_STORE, RECORDING_STORE];
+const META_STORE = 'meta';
+const BACKUP_STORE = 'backups';
+const META_DATA_KEY = 'data';
+const META_LEGACY_MIGRATED_KEY = 'legacyMigratedAt';
+const SYNC_CHANNEL_NAME = 'lang-sns-sync';
+const SYNC_STORAGE_KEY = 'lang-sns-sync';
+const DATA_VERSION = 11;
+const MIGRATION_BACKUP_LIMIT = 3;
+const REVISION_LIMIT = 30;
+const STORAGE_QUOTA_RATIO = 0.9;
 const IMAGE_RESIZE_THRESHOLD = 1024 * 1024; // 1MB
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The language registry lives in settings.languages; this is the initial list.
+// value is a BCP-47 code, dashboard puts the language in the dashboard counts.
+const defaultLanguages = () => [
+  { value: 'ja', label: '日本語', speakable: false, voiceHint: '', color: '#D9D9D9', dashboard: false, hidden: false },
+  { value: 'en-US', label: '英語', speakable: true, voiceHint: 'Samantha', color: '#2F6FE4', dashboard: true, hidden: false },
+  { value: 'ko-KR', label: '韓国語', speakable: true, voiceHint: 'Yuna', color: '#7AB7FF', dashboard: true, hidden: false },
+  { value: 'zh-TW', label: '台湾華語', speakable: true, voiceHint: 'Meijia', color: '#C5E0FF', dashboard: true, hidden: false },
+];
+
+const defaultSettings = () => ({
+  trashRetentionDays: 30,
+  voices: {},
+  languages: defaultLanguages(),
+});
 
 const defaultData = () => ({
   version: DATA_VERSION,
   posts: [],
   replies: [],
+  trash: [],
+  tombstones: [],
+  reviews: [],
+  vocabulary: [],
   images: {},
-  lastId: 0,
+  recordings: {},
+  settings: defaultSettings(),
 });
 
 const state = {
   data: defaultData(),
   currentTab: 'timeline',
   imageCache: new Map(),
+  recordingCache: new Map(),
+  db: null,
+  persisted: null,
+  persistQueue: Promise.resolve(),
+  tabId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  syncChannel: null,
   dashboardChart: null,
   hasPlayedDashboardAnimation: false,
+  storageSort: 'size',
+  storageSelection: new Set(),
+  storageWarningDismissed: false,
+  // set when the database was written by a newer app version; nothing is saved
+  readOnly: false,
+  releasedBlobs: new Set(),
+  backupBytes: null,
+  playback: null,
+  recorder: null,
+  recordingPlayback: null,
+  speechHighlight: null,
+  speechPace: {},
+  reviewRevealedId: null,
+  reviewView: 'review',
+  vocabularyFilter: { query: '', language: '' },
+  vocabularySelection: null,
+  // answers: what was typed into each blank, so that render() keeps it
+  study: { enabled: false, mode: 'auto', nativeLanguage: 'ja', seed: 0, answers: {} },
 };
 
-const dashboardLanguages = [
-  { value: 'en-US', label: '英語', color: '#2F6FE4' },
-  { value: 'ko-KR', label: '韓国語', color: '#7AB7FF' },
-  { value: 'zh-TW', label: '中国語', color: '#C5E0FF' },
-];
-
-const langOptions = [
-  { value: 'ja', label: '日本語', speakable: false },
-  { value: 'en-US', label: '英語', voiceHint: 'Samantha', speakable: true },
-  { value: 'ko-KR', label: '韓国語', voiceHint: 'Yuna', speakable: true },
-  { value: 'zh-TW', label: '台湾華語', voiceHint: 'Meijia', speakable: true },
-];
+// Preview sentences for the voice settings; other languages read their label.
+const LANGUAGE_SAMPLES = {
+  'en-US': 'Nice to meet you.',
+  'ko-KR': '만나서 반가워요.',
+  'zh-TW': '很高興認識你。',
+};
+// Dashboard colors handed out to languages added later, in order.
+const LANGUAGE_COLORS = ['#2F6FE4', '#7AB7FF', '#C5E0FF', '#F2A541', '#6CC5A1', '#E46F8E', '#9B7BE0', '#8C8C8C'];
 
 const speakerOptions = [
   { value: 'me', label: 'わたし', icon: 'img/icon_me.png' },
@@ -58,1253 +114,6089 @@ function createSpeakerIcon({ icon, label }) {
   return wrapper;
 }
 
-const getLanguageLabel = (value) => langOptions.find((opt) => opt.value === value)?.label || value;
-
-function loadData() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return;
-    const parsed = JSON.parse(raw);
-    if (parsed.version !== DATA_VERSION) {
-      state.data = { ...defaultData(), ...parsed, version: DATA_VERSION };
-    } else {
-      state.data = parsed;
-    }
-  } catch (e) {
-    console.error('Failed to load data', e);
-    state.data = defaultData();
-  }
-
-  ensureSpeakerFields(state.data);
+function getLanguages({ includeHidden = false } = {}) {
+  const languages = state.data.settings?.languages?.length ? state.data.settings.languages : defaultLanguages();
+  return includeHidden ? languages : languages.filter((lang) => !lang.hidden);
 }
 
-function persistData() {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state.data));
-  enforceStorageLimit();
-}
+const findLanguage = (value) => getLanguages({ includeHidden: true }).find((lang) => lang.value === value);
 
-function nextId() {
-  state.data.lastId += 1;
-  return state.data.lastId;
+const getLanguageLabel = (value) => findLanguage(value)?.label || value;
+
+function createLanguageEntry(value, languages) {
+  return {
+    value,
+    label: value,
+    speakable: true,
+    voiceHint: '',
+    color: LANGUAGE_COLORS[languages.length % LANGUAGE_COLORS.length],
+    dashboard: true,
+    hidden: false,
+  };
 }
 
-function extractTags(texts) {
-  const tagSet = new Set();
-  const regex = /#([\p{L}\p{N}_-]+)/gu;
-  texts.forEach((t) => {
-    let m;
-    while ((m = regex.exec(t.content))) {
-      tagSet.add(m[1]);
-    }
+// Codes used by texts but missing from the registry (e.g. from an import) are
+// appended so that they get a label and show up in the settings.
+function addMissingLanguages(languages, data) {
+  const next = [...languages];
+  const known = new Set(next.map((lang) => lang.value));
+  [...(data.posts || []), ...(data.replies || []), ...(data.trash || []).map((entry) => entry.item)].forEach((item) => {
+    (item?.texts || []).forEach(({ language }) => {
+      if (!language || known.has(language)) return;
+      known.add(language);
+      next.push(createLanguageEntry(language, next));
+    });
   });
-  return Array.from(tagSet);
+  return next;
 }
 
-function formatDate(ts) {
-  const d = new Date(ts);
-  return `${d.toLocaleDateString()} ${d.toLocaleTimeString()}`;
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
 }
 
-function readFileAsDataUrl(file) {
+function transactionDone(tx) {
   return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = () => reject(reader.error);
-    reader.readAsDataURL(file);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
   });
 }
 
-async function resizeIfNeeded(dataUrl) {
-  if (dataUrl.length <= IMAGE_RESIZE_THRESHOLD) return dataUrl;
-  return new Promise((resolve) => {
-    const img = new Image();
-    img.onload = () => {
-      const maxWidth = 900;
-      const scale = Math.min(1, maxWidth / img.width);
-      const canvas = document.createElement('canvas');
-      canvas.width = img.width * scale;
-      canvas.height = img.height * scale;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-      resolve(canvas.toDataURL('image/jpeg', 0.9));
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      [...RECORD_STORES, ...BLOB_STORES].forEach((name) => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+      });
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'key' });
+      if (!db.objectStoreNames.contains(BACKUP_STORE)) db.createObjectStore(BACKUP_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        state.db = null;
+        alert('アプリが別のタブで更新されました。ページを再読み込みしてください。');
+      };
+      resolve(db);
     };
-    img.src = dataUrl;
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('Database upgrade is blocked by another tab');
   });
 }
 
-function ensureImageId(dataUrl) {
-  // deduplicate identical images
-  for (const [id, stored] of Object.entries(state.data.images)) {
-    if (stored === dataUrl) return id;
+function dataUrlToBlob(dataUrl) {
+  const [header, body = ''] = String(dataUrl).split(',');
+  const mime = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+  const raw = header.includes(';base64') ? atob(body) : decodeURIComponent(body);
+  const bytes = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i += 1) {
+    bytes[i] = raw.charCodeAt(i);
   }
-  const id = `img-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
-  state.data.images[id] = dataUrl;
-  return id;
+  return new Blob([bytes], { type: mime });
 }
 
-function ensureSpeakerFields(data) {
-  const sync = (items = []) => {
-    items.forEach((item) => {
-      (item.texts || []).forEach((text) => {
-        const speaker = text.speaker || text.speaker_type || 'none';
-        text.speaker = speaker;
-        text.speaker_type = speaker;
-      });
-    });
-  };
+function toBlob(value) {
+  if (value instanceof Blob) return value;
+  if (typeof value === 'string' && value.startsWith('data:')) return dataUrlToBlob(value);
+  return null;
+}
 
-  sync(data?.posts);
-  sync(data?.replies);
+function normalizeBlobs(blobs = {}) {
+  const normalized = {};
+  Object.entries(blobs || {}).forEach(([id, value]) => {
+    const blob = toBlob(value);
+    if (blob) normalized[id] = blob;
+  });
+  return normalized;
 }
 
-function removeImageIfUnused(imageId) {
-  if (!imageId) return;
-  const used = state.data.posts.some((p) => p.imageId === imageId) ||
-    state.data.replies.some((r) => r.imageId === imageId);
-  if (!used) {
-    delete state.data.images[imageId];
-  }
+function getCachedObjectUrl(cache, id, blob) {
+  if (!blob) return null;
+  const cached = cache.get(id);
+  if (cached?.blob === blob) return cached.url;
+  if (cached) URL.revokeObjectURL(cached.url);
+  const url = URL.createObjectURL(blob);
+  cache.set(id, { blob, url });
+  return url;
 }
 
-function enforceStorageLimit() {
-  let serialized = JSON.stringify(state.data);
-  while (serialized.length > STORAGE_LIMIT) {
-    // remove images from oldest posts first
-    const candidates = [...state.data.posts]
-      .filter((p) => p.imageId)
-      .sort((a, b) => a.createdAt - b.createdAt);
-    if (!candidates.length) break;
-    const target = candidates[0];
-    removeImageIfUnused(target.imageId);
-    target.imageId = null;
-    target.imageRemoved = true;
-    serialized = JSON.stringify(state.data);
-  }
-  localStorage.setItem(STORAGE_KEY, serialized);
+function getImageUrl(imageId) {
+  return getCachedObjectUrl(state.imageCache, imageId, imageId ? state.data.images[imageId] : null);
 }
 
-function updateScrollLock() {
-  const modalOpen = !document.getElementById('modal').classList.contains('hidden');
-  const imageOpen = !document.getElementById('image-viewer').classList.contains('hidden');
-  document.body.classList.toggle('modal-open', modalOpen || imageOpen);
+function getRecordingUrl(recordingId) {
+  return getCachedObjectUrl(state.recordingCache, recordingId, recordingId ? state.data.recordings[recordingId] : null);
 }
 
-function showModalElement(modal) {
-  modal.classList.remove('hidden', 'closing');
-  requestAnimationFrame(() => modal.classList.add('active'));
-  updateScrollLock();
+async function serializeData(data = state.data) {
+  const serialized = { ...data };
+  for (const name of BLOB_STORES) {
+    serialized[name] = {};
+    for (const [id, blob] of Object.entries(data[name] || {})) {
+      serialized[name][id] = await readFileAsDataUrl(blob);
+    }
+  }
+  return serialized;
 }
 
-function hideModalElement(modal) {
-  let finished = false;
-  const complete = () => {
-    if (finished) return;
-    finished = true;
-    modal.classList.add('hidden');
-    modal.classList.remove('closing');
-    modal.removeEventListener('transitionend', complete);
-    updateScrollLock();
-  };
+function splitMeta(data) {
+  const meta = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (RECORD_STORES.includes(key) || BLOB_STORES.includes(key)) return;
+    meta[key] = value;
+  });
+  return meta;
+}
 
-  modal.addEventListener('transitionend', complete);
-  modal.classList.remove('active');
-  modal.classList.add('closing');
-  setTimeout(complete, 320);
+// Remembers what is on disk so that persistData() only writes changed records.
+function snapshotData(data) {
+  const records = {};
+  RECORD_STORES.forEach((name) => {
+    records[name] = new Map((data[name] || []).map((item) => [item.id, JSON.stringify(item)]));
+  });
+  const blobs = {};
+  BLOB_STORES.forEach((name) => {
+    blobs[name] = new Map(Object.entries(data[name] || {}));
+  });
+  return {
+    records,
+    ...blobs,
+    meta: JSON.stringify(splitMeta(data)),
+  };
 }
 
-function openModal(content, title = '投稿') {
-  const modal = document.getElementById('modal');
-  const body = document.getElementById('modal-body');
-  const titleEl = document.getElementById('modal-title');
-  titleEl.textContent = title;
-  body.innerHTML = '';
-  body.appendChild(content);
-  showModalElement(modal);
+function collectChanges(data, persisted) {
+  const changes = { records: {}, meta: null };
+  RECORD_STORES.forEach((name) => {
+    const previous = persisted.records[name];
+    const put = [];
+    const seen = new Set();
+    (data[name] || []).forEach((item) => {
+      seen.add(item.id);
+      if (previous.get(item.id) !== JSON.stringify(item)) put.push(item);
+    });
+    const deleted = [...previous.keys()].filter((id) => !seen.has(id));
+    changes.records[name] = { put, delete: deleted };
+  });
+
+  BLOB_STORES.forEach((name) => {
+    changes[name] = { put: [], delete: [] };
+    Object.entries(data[name] || {}).forEach(([id, blob]) => {
+      if (persisted[name].get(id) !== blob) changes[name].put.push({ id, blob });
+    });
+    persisted[name].forEach((_, id) => {
+      if (!data[name]?.[id]) changes[name].delete.push(id);
+    });
+  });
+
+  const meta = splitMeta(data);
+  if (JSON.stringify(meta) !== persisted.meta) changes.meta = meta;
+  return changes;
 }
 
-function closeModal() {
-  hideModalElement(document.getElementById('modal'));
+function hasChanges(changes) {
+  return Boolean(changes.meta) ||
+    BLOB_STORES.some((name) => changes[name].put.length || changes[name].delete.length) ||
+    Object.values(changes.records).some((c) => c.put.length || c.delete.length);
 }
 
-function createSpeakerSelector(selected = 'me') {
-  const wrapper = document.createElement('div');
-  wrapper.className = 'speaker-select';
+async function writeChanges() {
+  if (state.readOnly) return;
+  if (!state.db) throw new Error('database is not available');
+  const data = state.data;
+  const changes = collectChanges(data, state.persisted);
+  if (!hasChanges(changes)) return;
+  const snapshot = snapshotData(data);
+
+  const tx = state.db.transaction([...RECORD_STORES, ...BLOB_STORES, META_STORE, BACKUP_STORE], 'readwrite');
+  RECORD_STORES.forEach((name) => {
+    const store = tx.objectStore(name);
+    changes.records[name].put.forEach((item) => store.put(item));
+    changes.records[name].delete.forEach((id) => store.delete(id));
+  });
+  BLOB_STORES.forEach((name) => {
+    const store = tx.objectStore(name);
+    changes[name].put.forEach((entry) => store.put(entry));
+    changes[name].delete.forEach((id) => store.delete(id));
+  });
+  if (changes.meta) tx.objectStore(META_STORE).put({ key: META_DATA_KEY, value: changes.meta });
+  await keepSnapshotBlobs(tx.objectStore(BACKUP_STORE), changes);
+  await transactionDone(tx);
 
-  const hiddenValue = document.createElement('input');
-  hiddenValue.type = 'hidden';
-  hiddenValue.className = 'speaker-select-value';
-  hiddenValue.value = selected;
+  state.persisted = snapshot;
+  broadcastChanges(changes);
+}
 
-  const trigger = document.createElement('button');
-  trigger.type = 'button';
-  trigger.className = 'speaker-select-trigger';
+function describeChanges(changes) {
+  const records = {};
+  RECORD_STORES.forEach((name) => {
+    records[name] = {
+      put: changes.records[name].put.map((item) => item.id),
+      delete: changes.records[name].delete,
+    };
+  });
+  const blobs = {};
+  BLOB_STORES.forEach((name) => {
+    blobs[name] = { put: changes[name].put.map((entry) => entry.id), delete: changes[name].delete };
+  });
+  return {
+    records,
+    ...blobs,
+    meta: Boolean(changes.meta),
+  };
+}
 
-  const dropdown = document.createElement('div');
-  dropdown.className = 'speaker-options';
+function broadcastChanges(changes) {
+  const message = { source: state.tabId, sentAt: Date.now(), ...describeChanges(changes) };
+  if (state.syncChannel) {
+    state.syncChannel.postMessage(message);
+    return;
+  }
+  try {
+    localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(message));
+  } catch (e) {
+    console.warn('Failed to notify other tabs', e);
+  }
+}
 
-  const updateTrigger = (value) => {
-    hiddenValue.value = value;
-    trigger.innerHTML = '';
-    const selectedOpt = speakerOptions.find((opt) => opt.value === value) || speakerOptions[0];
-    trigger.appendChild(createSpeakerIcon(selectedOpt));
-  };
+function replaceInPlace(target, source) {
+  Object.keys(target).forEach((key) => {
+    if (!(key in source)) delete target[key];
+  });
+  Object.assign(target, source);
+}
 
-  speakerOptions.forEach((opt) => {
-    const optionBtn = document.createElement('button');
-    optionBtn.type = 'button';
-    optionBtn.className = 'speaker-option';
-    optionBtn.title = opt.label;
-    optionBtn.setAttribute('aria-label', opt.label);
+async function readChangedRecords(message) {
+  const tx = state.db.transaction([...RECORD_STORES, ...BLOB_STORES, META_STORE], 'readonly');
+  const pending = {};
+  RECORD_STORES.forEach((name) => {
+    const store = tx.objectStore(name);
+    pending[name] = Promise.all((message.records[name]?.put || []).map((id) => requestToPromise(store.get(id))));
+  });
+  BLOB_STORES.forEach((name) => {
+    const store = tx.objectStore(name);
+    pending[name] = Promise.all((message[name]?.put || []).map((id) => requestToPromise(store.get(id))));
+  });
+  pending.meta = message.meta ? requestToPromise(tx.objectStore(META_STORE).get(META_DATA_KEY)) : Promise.resolve(null);
 
-    optionBtn.appendChild(createSpeakerIcon(opt));
-    optionBtn.addEventListener('click', () => {
-      updateTrigger(opt.value);
-      dropdown.classList.remove('open');
+  const result = {};
+  for (const [key, promise] of Object.entries(pending)) {
+    result[key] = await promise;
+  }
+  return result;
+}
+
+// Applies records another tab has just written. Anything this tab has changed but not yet
+// saved is merged with mergeCollections() rather than overwritten.
+async function applyRemoteChanges(message) {
+  if (!state.db || !state.persisted) return;
+  const fetched = await readChangedRecords(message);
+
+  RECORD_STORES.forEach((name) => {
+    const persisted = state.persisted.records[name];
+    const isUnsaved = (item) => persisted.get(item.id) !== JSON.stringify(item);
+    fetched[name].filter(Boolean).forEach((remote) => {
+      const local = state.data[name].find((item) => item.id === remote.id);
+      if (!local) {
+        state.data[name].push(remote);
+      } else if (!isUnsaved(local)) {
+        replaceInPlace(local, remote);
+      } else {
+        const [winner] = mergeCollections([local], [remote]);
+        if (winner !== local) replaceInPlace(local, winner);
+      }
+      persisted.set(remote.id, JSON.stringify(remote));
+    });
+    (message.records[name]?.delete || []).forEach((id) => {
+      const local = state.data[name].find((item) => item.id === id);
+      if (local && !isUnsaved(local)) {
+        state.data[name] = state.data[name].filter((item) => item.id !== id);
+      }
+      persisted.delete(id);
     });
-    dropdown.appendChild(optionBtn);
   });
 
-  trigger.addEventListener('click', () => {
-    dropdown.classList.toggle('open');
+  BLOB_STORES.forEach((name) => {
+    fetched[name].filter(Boolean).forEach(({ id, blob }) => {
+      state.data[name][id] = blob;
+      state.persisted[name].set(id, blob);
+    });
+    (message[name]?.delete || []).forEach((id) => state.persisted[name].delete(id));
   });
+  (message.images?.delete || []).forEach((id) => removeImageIfUnused(id));
+  pruneRecordings();
+
+  if (fetched.meta) {
+    const localMeta = splitMeta(state.data);
+    const persistedMeta = JSON.parse(state.persisted.meta);
+    Object.entries(fetched.meta.value).forEach(([key, value]) => {
+      if (JSON.stringify(localMeta[key]) === JSON.stringify(persistedMeta[key])) state.data[key] = value;
+    });
+    state.persisted.meta = JSON.stringify(fetched.meta.value);
+  }
 
-  const handleOutside = (e) => {
-    if (!wrapper.contains(e.target)) {
-      dropdown.classList.remove('open');
+  // write back whatever the merge kept from this tab
+  await writeChanges();
+  render();
+}
+
+function handleSyncMessage(message) {
+  if (!message || message.source === state.tabId) return;
+  state.persistQueue = state.persistQueue
+    .then(() => applyRemoteChanges(message))
+    .catch((e) => console.error('Failed to apply changes from another tab', e));
+}
+
+function setupTabSync() {
+  if (typeof BroadcastChannel === 'function') {
+    state.syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    state.syncChannel.addEventListener('message', (e) => handleSyncMessage(e.data));
+    return;
+  }
+  window.addEventListener('storage', (e) => {
+    if (e.key !== SYNC_STORAGE_KEY || !e.newValue) return;
+    try {
+      handleSyncMessage(JSON.parse(e.newValue));
+    } catch (err) {
+      console.error('Invalid sync message', err);
     }
-  };
-  document.addEventListener('pointerdown', handleOutside);
+  });
+}
 
-  updateTrigger(selected);
+async function writeAllData(data) {
+  const tx = state.db.transaction([...RECORD_STORES, ...BLOB_STORES, META_STORE], 'readwrite');
+  RECORD_STORES.forEach((name) => {
+    const store = tx.objectStore(name);
+    store.clear();
+    (data[name] || []).forEach((item) => store.put(item));
+  });
+  BLOB_STORES.forEach((name) => {
+    const store = tx.objectStore(name);
+    store.clear();
+    Object.entries(data[name] || {}).forEach(([id, blob]) => store.put({ id, blob }));
+  });
+  tx.objectStore(META_STORE).put({ key: META_DATA_KEY, value: splitMeta(data) });
+  await transactionDone(tx);
+}
 
-  wrapper.append(hiddenValue, trigger, dropdown);
-  return wrapper;
+async function readAllData() {
+  const tx = state.db.transaction([...RECORD_STORES, ...BLOB_STORES, META_STORE], 'readonly');
+  const [meta, ...stores] = await Promise.all([
+    requestToPromise(tx.objectStore(META_STORE).get(META_DATA_KEY)),
+    ...[...RECORD_STORES, ...BLOB_STORES].map((name) => requestToPromise(tx.objectStore(name).getAll())),
+  ]);
+  if (!meta) return null;
+  const data = { ...defaultData(), ...meta.value, version: Number(meta.value.version) || 1 };
+  RECORD_STORES.forEach((name, index) => {
+    data[name] = stores[index];
+  });
+  BLOB_STORES.forEach((name, index) => {
+    data[name] = {};
+    stores[RECORD_STORES.length + index].forEach((entry) => {
+      data[name][entry.id] = entry.blob;
+    });
+  });
+  return data;
 }
 
-function createSpeakerBadge(type = 'none') {
-  const info = speakerOptions.find((opt) => opt.value === type) || speakerOptions.find((opt) => opt.value === 'none');
-  const badge = document.createElement('span');
-  badge.className = 'speaker-badge';
+async function readMetaValue(key) {
+  const tx = state.db.transaction(META_STORE, 'readonly');
+  const entry = await requestToPromise(tx.objectStore(META_STORE).get(key));
+  return entry?.value;
+}
 
-  badge.append(createSpeakerIcon(info));
-  return badge;
+async function writeMetaValue(key, value) {
+  const tx = state.db.transaction(META_STORE, 'readwrite');
+  tx.objectStore(META_STORE).put({ key, value });
+  await transactionDone(tx);
 }
 
-function createTextBlockInput(value = '', lang = 'ja', pronunciation = '', speakerType = 'me', removable = true, onRemove = null) {
-  const wrapper = document.createElement('div');
-  wrapper.className = 'text-area-wrapper';
+function verifyMigratedData(expected, actual) {
+  if (!actual) throw new Error('migrated data is missing');
+  RECORD_STORES.forEach((name) => {
+    const ids = new Set(actual[name].map((item) => item.id));
+    if (ids.size !== expected[name].length || expected[name].some((item) => !ids.has(item.id))) {
+      throw new Error(`migrated ${name} do not match`);
+    }
+  });
+  Object.entries(expected.images).forEach(([id, blob]) => {
+    if (actual.images[id]?.size !== blob.size) throw new Error(`migrated image ${id} does not match`);
+  });
+}
 
-  const speakerSelector = createSpeakerSelector(speakerType);
-  wrapper.appendChild(speakerSelector);
+// Moves data saved by older versions (one localStorage key) into IndexedDB once.
+async function migrateLegacyStorage() {
+  const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!raw) return;
+  if (await readMetaValue(META_LEGACY_MIGRATED_KEY)) return;
 
-  const fieldContainer = document.createElement('div');
-  fieldContainer.className = 'text-area-fields';
+  const parsed = JSON.parse(raw);
+  const legacy = { ...defaultData(), ...parsed, version: Number(parsed.version) || 1 };
+  legacy.images = normalizeBlobs(parsed.images);
 
-  const textarea = document.createElement('textarea');
-  textarea.value = value;
-  textarea.className = 'text-area';
-  fieldContainer.appendChild(textarea);
+  await writeAllData(legacy);
+  verifyMigratedData(legacy, await readAllData());
+  await writeMetaValue(META_LEGACY_MIGRATED_KEY, Date.now());
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+}
 
-  const pronunciationInput = document.createElement('input');
-  pronunciationInput.type = 'text';
-  pronunciationInput.placeholder = '発音（任意）';
-  pronunciationInput.className = 'pronunciation-input';
-  pronunciationInput.value = pronunciation;
-  fieldContainer.appendChild(pronunciationInput);
+class UnsupportedVersionError extends Error {
+  constructor(version) {
+    super(`このデータは新しいバージョンのアプリ（データバージョン ${version}）で作成されています。アプリを更新してから読み込んでください。`);
+    this.name = 'UnsupportedVersionError';
+    this.version = version;
+  }
+}
 
-  const langRow = document.createElement('div');
-  langRow.className = 'language-select';
+const normalizeTexts = (texts) => (Array.isArray(texts) && texts.length ? texts : [{ content: '', language: 'ja' }]).map((text) => {
+  const speaker = text.speaker || text.speaker_type || 'none';
+  return {
+    ...text,
+    content: String(text.content ?? ''),
+    language: text.language || 'ja',
+    pronunciation: text.pronunciation || '',
+    speaker,
+    speaker_type: speaker,
+  };
+});
 
-  const select = document.createElement('select');
-  select.className = 'language-select-input';
-  langOptions.forEach((opt) => {
-    const option = document.createElement('option');
-    option.value = opt.value;
-    option.textContent = opt.label;
-    if (opt.value === lang) option.selected = true;
-    select.appendChild(option);
+// Ordered upgrade steps. Each entry turns data of version `from` into version `from + 1`
+// and must not mutate its input, so the pre-migration backup stays intact.
+const migrations = [
+  {
+    from: 1,
+    description: 'speaker / speaker_type の統一と既定値の補完',
+    migrate: (data) => ({
+      ...data,
+      posts: (data.posts || []).map((post) => ({
+        ...post,
+        texts: normalizeTexts(post.texts),
+        tags: post.tags || [],
+        imageId: post.imageId || null,
+        imageRemoved: Boolean(post.imageRemoved),
+        isDeleted: Boolean(post.isDeleted),
+        liked: Boolean(post.liked),
+        likedAt: post.likedAt ?? null,
+        repostOf: post.repostOf ?? null,
+      })),
+      replies: (data.replies || []).map((reply) => ({
+        ...reply,
+        texts: normalizeTexts(reply.texts),
+        tags: reply.tags || [],
+        imageId: reply.imageId || null,
+        isDeleted: Boolean(reply.isDeleted),
+      })),
+      images: data.images || {},
+    }),
+  },
+  {
+    from: 2,
+    description: 'ゴミ箱と設定の追加',
+    migrate: (data) => ({
+      ...data,
+      trash: data.trash || [],
+      settings: { ...defaultSettings(), ...(data.settings || {}) },
+    }),
+  },
+  {
+    from: 3,
+    description: '編集履歴（revisions）の追加',
+    migrate: (data) => ({
+      ...data,
+      posts: data.posts.map((post) => ({ ...post, revisions: post.revisions || [] })),
+      replies: data.replies.map((reply) => ({ ...reply, revisions: reply.revisions || [] })),
+    }),
+  },
+  {
+    from: 4,
+    description: '連番ID（lastId）の廃止',
+    migrate: ({ lastId, ...data }) => data,
+  },
+  {
+    from: 5,
+    description: '削除記録（tombstones）といいねの更新時刻の追加',
+    migrate: (data) => ({
+      ...data,
+      tombstones: data.tombstones || [],
+      posts: data.posts.map((post) => ({ ...post, likedUpdatedAt: post.likedUpdatedAt ?? post.likedAt ?? null })),
+    }),
+  },
+  {
+    from: 6,
+    description: '言語・話者ごとの音声設定（settings.voices）の追加',
+    migrate: (data) => ({
+      ...data,
+      settings: { ...defaultSettings(), ...data.settings, voices: data.settings?.voices || {} },
+    }),
+  },
+  {
+    from: 7,
+    description: 'テキストブロックごとの録音（recordings）の追加',
+    migrate: (data) => ({ ...data, recordings: data.recordings || {} }),
+  },
+  {
+    from: 8,
+    description: '言語の一覧（settings.languages）の追加',
+    migrate: (data) => ({
+      ...data,
+      settings: {
+        ...defaultSettings(),
+        ...data.settings,
+        languages: addMissingLanguages(data.settings?.languages || defaultLanguages(), data),
+      },
+    }),
+  },
+  {
+    from: 9,
+    description: '復習カード（reviews）の追加',
+    migrate: (data) => ({ ...data, reviews: data.reviews || [] }),
+  },
+  {
+    from: 10,
+    description: '単語帳（vocabulary）の追加',
+    migrate: (data) => ({ ...data, vocabulary: data.vocabulary || [] }),
+  },
+];
+
+function needsMigration(data) {
+  return (Number(data?.version) || 1) !== DATA_VERSION;
+}
+
+function migrateData(input) {
+  const fromVersion = Number(input.version) || 1;
+  if (fromVersion > DATA_VERSION) throw new UnsupportedVersionError(fromVersion);
+  let data = { ...defaultData(), ...input, version: fromVersion };
+  for (let version = fromVersion; version < DATA_VERSION; version += 1) {
+    const step = migrations.find((m) => m.from === version);
+    if (!step) throw new Error(`missing migration from version ${version}`);
+    data = { ...step.migrate(data), version: version + 1 };
+  }
+  return data;
+}
+
+async function saveBackup(data, reason, limit) {
+  if (state.readOnly) return;
+  const tx = state.db.transaction(BACKUP_STORE, 'readwrite');
+  const store = tx.objectStore(BACKUP_STORE);
+  store.put({
+    id: `backup-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+    reason,
+    createdAt: Date.now(),
+    version: Number(data.version) || 1,
+    data,
   });
-  langRow.appendChild(select);
+  const existing = await requestToPromise(store.getAll());
+  const dropped = new Set(existing
+    .filter((entry) => entry.reason === reason)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(limit)
+    .map((entry) => entry.id));
+  dropped.forEach((id) => store.delete(id));
+  // kept blobs go away with the last snapshot that lists them
+  const referenced = collectSnapshotBlobKeys(existing.filter((entry) => !dropped.has(entry.id)));
+  existing
+    .filter((entry) => entry.reason === KEPT_BLOB_REASON && !referenced.has(entry.id))
+    .forEach((entry) => store.delete(entry.id));
+  await transactionDone(tx);
+  state.backupBytes = null;
+}
 
-  const speakBtn = document.createElement('button');
-  speakBtn.type = 'button';
-  speakBtn.className = 'text-action-button language-select-button';
-  speakBtn.innerHTML = '<img src="img/vol.svg" alt="" width="16" class="icon-inline"> 再生';
-  speakBtn.addEventListener('click', () => playSpeech(textarea.value, select.value));
-  langRow.appendChild(speakBtn);
+async function migrateStoredData(stored) {
+  if (!needsMigration(stored)) return stored;
+  if (stored.version > DATA_VERSION) throw new UnsupportedVersionError(stored.version);
+  await saveBackup(createSnapshotData(stored), 'migration', MIGRATION_BACKUP_LIMIT);
+  return migrateData(stored);
+}
 
-  fieldContainer.appendChild(langRow);
-  wrapper.appendChild(fieldContainer);
-  if (removable) {
-    const removeBtn = document.createElement('button');
-    removeBtn.type = 'button';
-    removeBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="25" class="icon-inline">';
-    removeBtn.addEventListener('click', () => {
-      if (wrapper.parentElement.children.length > 1) {
-        wrapper.remove();
-        if (onRemove) onRemove();
-      }
+// Rotation per kind of snapshot; the oldest entries beyond the limit are dropped.
+const SNAPSHOT_LIMITS = {
+  daily: 7,
+  'before-import': 5,
+  'before-restore': 3,
+};
+const SNAPSHOT_LABELS = {
+  daily: '毎日の自動保存',
+  'before-import': 'インポート前',
+  'before-restore': '復元前',
+  migration: 'データ移行前',
+};
+
+// Snapshots only list the image and recording IDs so that they do not copy
+// every blob. A blob that a snapshot still lists is moved to the backups store
+// when it is deleted (see keepSnapshotBlobs) and restored from there.
+function createSnapshotData(data) {
+  return {
+    ...data,
+    images: {},
+    imageIds: Object.keys(data.images || {}),
+    recordings: {},
+    recordingIds: Object.keys(data.recordings || {}),
+  };
+}
+
+const SNAPSHOT_BLOB_IDS = { [IMAGE_STORE]: 'imageIds', [RECORDING_STORE]: 'recordingIds' };
+const KEPT_BLOB_REASON = 'blob';
+const getKeptBlobKey = (name, id) => `${KEPT_BLOB_REASON}:${name}:${id}`;
+
+function collectSnapshotBlobKeys(entries) {
+  const keys = new Set();
+  entries.filter((entry) => entry.reason !== KEPT_BLOB_REASON).forEach((entry) => {
+    BLOB_STORES.forEach((name) => {
+      (entry.data?.[SNAPSHOT_BLOB_IDS[name]] || []).forEach((id) => keys.add(getKeptBlobKey(name, id)));
     });
-    removeBtn.className = 'remove-text-btn';
-    wrapper.appendChild(removeBtn);
-  }
-  return wrapper;
+  });
+  return keys;
 }
 
-function buildPostForm({ mode = 'create', targetPost = null, parentId = null }) {
-  const fragment = document.createDocumentFragment();
-  const container = document.createElement('div');
-  container.className = 'modal-body-section';
-  fragment.appendChild(container);
-  const tagSection = document.createElement('div');
-  tagSection.className = 'modal-tag-section';
-  const tagInput = document.createElement('input');
-  tagInput.type = 'text';
-  tagInput.placeholder = '#タグ をスペースまたはカンマ区切りで入力';
-  tagInput.className = 'tag-input';
-  if (targetPost?.tags?.length) {
-    tagInput.value = targetPost.tags.map((t) => `#${t}`).join(' ');
+// Runs inside writeChanges(): deleted blobs that a snapshot lists are kept in
+// the backups store, unless the user removed them to free space (releasedBlobs).
+// A blob that is written again no longer needs its kept copy.
+async function keepSnapshotBlobs(backups, changes) {
+  BLOB_STORES.forEach((name) => {
+    changes[name].put.forEach(({ id }) => backups.delete(getKeptBlobKey(name, id)));
+  });
+  const released = new Set(state.releasedBlobs);
+  state.releasedBlobs.clear();
+  const deleted = BLOB_STORES.flatMap((name) => changes[name].delete.map((id) => [name, id, getKeptBlobKey(name, id)]));
+  if (!deleted.length) return;
+  const referenced = collectSnapshotBlobKeys(await requestToPromise(backups.getAll()));
+  deleted.forEach(([name, id, key]) => {
+    const blob = state.persisted[name].get(id);
+    if (released.has(key) || !referenced.has(key) || !blob) return;
+    backups.put({ id: key, reason: KEPT_BLOB_REASON, store: name, blobId: id, createdAt: Date.now(), blob });
+  });
+  state.backupBytes = null;
+}
+
+async function readKeptBlobs() {
+  const tx = state.db.transaction(BACKUP_STORE, 'readonly');
+  const entries = await requestToPromise(tx.objectStore(BACKUP_STORE).getAll());
+  const kept = Object.fromEntries(BLOB_STORES.map((name) => [name, {}]));
+  entries
+    .filter((entry) => entry.reason === KEPT_BLOB_REASON)
+    .forEach((entry) => { kept[entry.store][entry.blobId] = entry.blob; });
+  return kept;
+}
+
+async function saveSnapshot(reason) {
+  if (!state.db) return;
+  await saveBackup(createSnapshotData(state.data), reason, SNAPSHOT_LIMITS[reason]);
+}
+
+async function listSnapshots() {
+  if (!state.db) return [];
+  const tx = state.db.transaction(BACKUP_STORE, 'readonly');
+  const entries = await requestToPromise(tx.objectStore(BACKUP_STORE).getAll());
+  return entries
+    .filter((entry) => SNAPSHOT_LABELS[entry.reason])
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+const isSameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+async function takeDailySnapshot() {
+  try {
+    const latest = (await listSnapshots()).find((entry) => entry.reason === 'daily');
+    if (latest && isSameDay(latest.createdAt, Date.now())) return;
+    await saveSnapshot('daily');
+  } catch (e) {
+    console.error('Failed to save snapshot', e);
   }
-  tagSection.append(tagInput);
-  const textAreaContainer = document.createElement('div');
-  textAreaContainer.id = 'text-block-container';
-  textAreaContainer.classList.add('text-block-container');
-  let addBtn;
+}
 
-  const updateTextControls = () => {
-    const count = textAreaContainer.children.length;
-    if (addBtn) addBtn.disabled = count >= 4;
-    const removeButtons = textAreaContainer.querySelectorAll('.remove-text-btn');
-    removeButtons.forEach((btn) => {
-      btn.disabled = count <= 1;
+async function restoreSnapshot(id) {
+  const tx = state.db.transaction(BACKUP_STORE, 'readonly');
+  const entry = await requestToPromise(tx.objectStore(BACKUP_STORE).get(id));
+  if (!entry) return;
+  await saveSnapshot('before-restore');
+  const { imageIds, recordingIds, ...snapshot } = migrateData(entry.data);
+  const kept = await readKeptBlobs();
+  // older snapshots carry their own copies of the blobs
+  const collectBlobs = (name, ids) => {
+    const blobs = { ...normalizeBlobs(snapshot[name]) };
+    (ids || []).forEach((id) => {
+      if (!blobs[id]) blobs[id] = state.data[name][id] || kept[name][id];
+      if (!blobs[id]) delete blobs[id];
     });
+    return blobs;
   };
-
-  const handleTextBlockChange = () => updateTextControls();
-
-  const addTextBlock = (content = '', language = 'ja', pronunciation = '', speakerType = 'me') => {
-    const block = createTextBlockInput(content, language, pronunciation, speakerType, true, handleTextBlockChange);
-    textAreaContainer.appendChild(block);
-    handleTextBlockChange();
+  const images = collectBlobs(IMAGE_STORE, imageIds);
+  const recordings = collectBlobs(RECORDING_STORE, recordingIds);
+  const markMissing = (item) => {
+    const texts = (item.texts || []).map(({ recordingId, ...t }) => (recordingId && recordings[recordingId] ? { ...t, recordingId } : t));
+    const next = { ...item, texts };
+    return item.imageId && !images[item.imageId] ? { ...next, imageId: null, imageRemoved: true } : next;
   };
+  replaceState({
+    ...snapshot,
+    posts: (snapshot.posts || []).map(markMissing),
+    replies: (snapshot.replies || []).map(markMissing),
+    images,
+    recordings,
+  });
+  persistData();
+  render();
+}
 
-  if (targetPost) {
-    textAreaContainer.innerHTML = '';
-    const texts = targetPost.texts || [{ content: '', language: 'ja' }];
-    texts.forEach((t) => addTextBlock(t.content, t.language, t.pronunciation || '', t.speaker_type || t.speaker || 'none'));
-  } else {
-    addTextBlock();
+async function renderSnapshotPanel() {
+  const panel = document.getElementById('snapshot-panel');
+  if (!panel) return;
+  const snapshots = await listSnapshots();
+  panel.innerHTML = '';
+  const title = document.createElement('h3');
+  title.className = 'storage-title';
+  title.textContent = '自動スナップショット';
+  const helper = document.createElement('p');
+  helper.className = 'helper';
+  helper.textContent = '1日1回と、インポート・データ移行・復元の前に、この端末のデータを自動で保存しています。';
+  panel.append(title, helper);
+
+  if (!snapshots.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = 'スナップショットはまだありません。';
+    panel.appendChild(empty);
+    return;
   }
 
-  addBtn = document.createElement('button');
-  addBtn.type = 'button';
-  addBtn.textContent = '＋';
-  addBtn.className = 'add-text-button';
-  addBtn.addEventListener('click', () => {
-    if (textAreaContainer.children.length >= 4) return;
-    addTextBlock();
+  const list = document.createElement('div');
+  list.className = 'storage-list';
+  snapshots.forEach((entry) => {
+    const row = document.createElement('div');
+    row.className = 'snapshot-item';
+    const info = document.createElement('div');
+    info.className = 'storage-info';
+    const date = document.createElement('div');
+    date.className = 'storage-size';
+    date.textContent = formatDate(entry.createdAt);
+    const posts = (entry.data.posts || []).filter((p) => !p.isDeleted).length;
+    const detail = document.createElement('div');
+    detail.className = 'storage-ref';
+    detail.textContent = `${SNAPSHOT_LABELS[entry.reason]} / ポスト${posts}件・リプライ${(entry.data.replies || []).length}件`;
+    info.append(date, detail);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'trash-action-button import-button';
+    restoreBtn.textContent = 'この時点に戻す';
+    restoreBtn.addEventListener('click', async () => {
+      if (!window.confirm(`${formatDate(entry.createdAt)} の状態に戻します。今のデータは「復元前」のスナップショットとして残ります。よろしいですか？`)) return;
+      restoreBtn.disabled = true;
+      try {
+        await restoreSnapshot(entry.id);
+      } catch (e) {
+        console.error('Failed to restore snapshot', e);
+        alert('スナップショットの復元に失敗しました');
+        restoreBtn.disabled = false;
+      }
+    });
+    row.append(info, restoreBtn);
+    list.appendChild(row);
   });
+  panel.appendChild(list);
+}
 
-  updateTextControls();
+const IMPORT_ERROR_DETAIL_LIMIT = 10;
 
-  const imageRow = document.createElement('div');
-  imageRow.className = 'form-row';
-  const fileLabel = document.createElement('label');
-  fileLabel.className = 'modal-file-button';
-  fileLabel.innerHTML = '<img src="img/img_off.svg" alt="画像" width="25" class="icon-inline">'
-  const fileInput = document.createElement('input');
-  fileInput.type = 'file';
-  fileInput.accept = 'image/*';
-  fileInput.className = 'file-input';
-  fileLabel.appendChild(fileInput);
+function describeImportError(e) {
+  if (e instanceof UnsupportedVersionError) return e.message;
+  if (e instanceof ConversationImportError) {
+    const details = e.errors.slice(0, IMPORT_ERROR_DETAIL_LIMIT).map((error) => `・${error}`);
+    if (e.errors.length > IMPORT_ERROR_DETAIL_LIMIT) details.push(`ほか ${e.errors.length - IMPORT_ERROR_DETAIL_LIMIT} 件`);
+    return [e.message, ...details].join('\n');
+  }
+  return 'JSONの読み込みに失敗しました';
+}
 
-  const removeImageBtn = document.createElement('button');
-  removeImageBtn.type = 'button';
-  removeImageBtn.innerHTML = '<img src="img/delete.svg" alt="画像を削除" width="30" class="remove-image-icon icon-inline">';
-  removeImageBtn.className = 'remove-image-btn';
+async function loadData() {
+  try {
+    state.db = await openDatabase();
+    await migrateLegacyStorage();
+    const stored = await readAllData();
+    state.persisted = snapshotData(stored || defaultData());
+    if (stored) {
+      state.data = await migrateStoredData(stored);
+      if (state.data !== stored) persistData();
+    }
+  } catch (e) {
+    state.data = defaultData();
+    state.persisted = snapshotData(state.data);
+    if (e instanceof UnsupportedVersionError) {
+      // leave the newer data untouched; old code must not write it back
+      state.readOnly = true;
+      alert(`${e.message}\n保存されているデータは読み込まず、変更も保存しません（データはそのまま残ります）。`);
+      return;
+    }
+    console.error('Failed to load data', e);
+    alert('データの読み込みに失敗しました');
+  }
+}
 
-  const imagePreview = document.createElement('div');
-  imagePreview.className = 'image-preview';
-  imageRow.appendChild(imagePreview);
+function persistData() {
+  if (state.readOnly) return state.persistQueue;
+  state.persistQueue = state.persistQueue
+    .then(() => {
+      pruneRecordings();
+      return writeChanges();
+    })
+    .then(() => enforceStorageLimit())
+    .catch((e) => {
+      console.error('Failed to persist data', e);
+      alert('データの保存に失敗しました');
+    });
+  return state.persistQueue;
+}
 
-  const originalImageId = targetPost?.imageId || null;
-  const existingImageUrl = originalImageId ? state.data.images[originalImageId] : null;
-  let imageDataUrl = null;
-  let removeImage = false;
+function createId(prefix) {
+  const unique = typeof crypto?.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}-${Math.random().toString(36).slice(2, 10)}`;
+  return `${prefix}-${unique}`;
+}
 
-  const renderPreview = () => {
-    imagePreview.innerHTML = '';
-    const currentUrl = imageDataUrl || (!removeImage ? existingImageUrl : null);
-    if (currentUrl) {
-      const img = document.createElement('img');
-      img.src = currentUrl;
-      img.alt = '選択中の画像';
-      img.className = 'image-preview-img';
-      imagePreview.appendChild(img);
-    }
-    removeImageBtn.hidden = !currentUrl;
-    if (currentUrl) {
-      imagePreview.appendChild(removeImageBtn);
+function extractTags(texts) {
+  const tagSet = new Set();
+  const regex = /#([\p{L}\p{N}_-]+)/gu;
+  texts.forEach((t) => {
+    let m;
+    while ((m = regex.exec(t.content))) {
+      tagSet.add(m[1]);
     }
-    imageRow.style.display = imagePreview.childElementCount ? '' : 'none';
-  };
+  });
+  return Array.from(tagSet);
+}
 
-  renderPreview();
+function formatDate(ts) {
+  const d = new Date(ts);
+  return `${d.toLocaleDateString()} ${d.toLocaleTimeString()}`;
+}
 
-  fileInput.addEventListener('change', async (e) => {
-    const [file] = e.target.files;
-    if (!file) return;
-    const dataUrl = await readFileAsDataUrl(file);
-    imageDataUrl = await resizeIfNeeded(dataUrl);
-    removeImage = false;
-    renderPreview();
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
   });
+}
 
-  removeImageBtn.addEventListener('click', () => {
-    imageDataUrl = null;
-    removeImage = true;
-    fileInput.value = '';
-    renderPreview();
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('failed to decode image'));
+    img.src = src;
   });
+}
 
-  const actions = document.createElement('div');
-  actions.className = 'modal-actions';
-  const cancelBtn = document.createElement('button');
-  cancelBtn.type = 'button';
-  cancelBtn.className = 'modal-action-button';
-  cancelBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="25" class="icon-inline">';
-  cancelBtn.addEventListener('click', () => closeModal());
-  const submitBtn = document.createElement('button');
-  submitBtn.type = 'button';
-  submitBtn.className = 'modal-primary-button primary-button modal-action-button';
-  submitBtn.textContent = mode === 'reply' ? 'Reply' : mode === 'edit' ? 'Save' : 'Post';
-
-  submitBtn.addEventListener('click', async () => {
-    const textBlocks = Array.from(textAreaContainer.children).map((el) => {
-      const speakerValue = el.querySelector('.speaker-select-value')?.value || 'me';
-      return {
-        content: el.querySelector('.text-area').value.trim(),
-        language: el.querySelector('.language-select-input').value,
-        pronunciation: el.querySelector('.pronunciation-input').value.trim(),
-        speaker: speakerValue,
-        speaker_type: speakerValue,
-      };
-    });
-    const hasContent = textBlocks.some((t) => t.content.length > 0);
-    if (!hasContent) {
-      alert('テキストを入力してください。');
-      return;
-    }
-    const tagsFromText = extractTags(textBlocks);
-    const manualTags = tagInput.value
-      .split(/[\s,、]+/)
-      .map((t) => t.replace(/^#/, '').trim())
-      .filter((t) => t.length > 0);
-    const tags = Array.from(new Set([...tagsFromText, ...manualTags]));
-    let imageId = targetPost ? targetPost.imageId : null;
+async function reencodeImage(src, { maxWidth = 900, quality = 0.9, type = 'image/jpeg' } = {}) {
+  const img = await loadImage(src);
+  const scale = Math.min(1, maxWidth / img.width);
+  const canvas = document.createElement('canvas');
+  canvas.width = img.width * scale;
+  canvas.height = img.height * scale;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL(type, quality);
+}
 
-    if (imageDataUrl) {
-      imageId = ensureImageId(imageDataUrl);
-    } else if (removeImage) {
-      imageId = null;
-    }
+async function resizeIfNeeded(dataUrl) {
+  if (dataUrl.length <= IMAGE_RESIZE_THRESHOLD) return dataUrl;
+  return reencodeImage(dataUrl);
+}
 
-    if (mode === 'reply') {
-      const reply = {
-        id: nextId(),
-        postId: parentId,
-        texts: textBlocks,
-        tags,
-        createdAt: Date.now(),
-        updatedAt: Date.now(),
-        imageId: imageId || null,
-        isDeleted: false,
-      };
-      state.data.replies.push(reply);
-    } else if (mode === 'edit' && targetPost) {
-      targetPost.texts = textBlocks;
-      targetPost.tags = tags;
-      targetPost.updatedAt = Date.now();
-      if (imageDataUrl !== null) {
-        targetPost.imageId = imageId;
-        targetPost.imageRemoved = false;
-        if (originalImageId && originalImageId !== imageId) {
-          removeImageIfUnused(originalImageId);
-        }
-      } else if (removeImage) {
-        removeImageIfUnused(originalImageId);
-        targetPost.imageId = null;
-        targetPost.imageRemoved = false;
-      }
-    } else {
-      const post = {
-        id: nextId(),
-        texts: textBlocks,
-        tags,
-        createdAt: Date.now(),
-        updatedAt: Date.now(),
-        imageId: imageId || null,
-        imageRemoved: false,
-        isDeleted: false,
-        liked: false,
-        likedAt: null,
-        repostOf: targetPost?.id ?? null,
-      };
-      state.data.posts.push(post);
-    }
+async function blobsEqual(a, b) {
+  if (a.size !== b.size || a.type !== b.type) return false;
+  const [bufA, bufB] = await Promise.all([a.arrayBuffer(), b.arrayBuffer()]);
+  const viewA = new Uint8Array(bufA);
+  const viewB = new Uint8Array(bufB);
+  return viewA.every((byte, i) => byte === viewB[i]);
+}
 
-    persistData();
-    closeModal();
+async function ensureImageId(image) {
+  const blob = toBlob(image);
+  // deduplicate identical images
+  for (const [id, stored] of Object.entries(state.data.images)) {
+    if (await blobsEqual(stored, blob)) return id;
+  }
+  const id = createId('img');
+  state.data.images[id] = blob;
+  return id;
+}
+
+function removeImageIfUnused(imageId) {
+  if (!imageId) return;
+  const used = state.data.posts.some((p) => p.imageId === imageId) ||
+    state.data.replies.some((r) => r.imageId === imageId) ||
+    state.data.trash.some((entry) => entry.item.imageId === imageId);
+  if (!used && state.data.images[imageId]) {
+    delete state.data.images[imageId];
+    addTombstone('image', imageId);
+  }
+}
+
+// Recordings belong to text blocks, including those kept in the trash and in
+// edit history, so they are dropped once no block refers to them any more.
+function collectRecordingIds(data = state.data) {
+  const ids = new Set();
+  const addTexts = (texts) => (texts || []).forEach((t) => {
+    if (t.recordingId) ids.add(t.recordingId);
+  });
+  [...data.posts, ...data.replies, ...data.trash.map((entry) => entry.item)].forEach((item) => {
+    addTexts(item.texts);
+    (item.revisions || []).forEach((revision) => addTexts(revision.texts));
+  });
+  return ids;
+}
+
+function pruneRecordings() {
+  const used = collectRecordingIds();
+  Object.keys(state.data.recordings || {}).forEach((id) => {
+    if (!used.has(id)) delete state.data.recordings[id];
+  });
+}
+
+function estimateDataSize(data = state.data) {
+  const blobBytes = BLOB_STORES.reduce(
+    // imported raw data keeps blobs as data URLs
+    (sum, name) => sum + Object.values(data[name] || {}).reduce((total, blob) => total + (blob?.size ?? String(blob).length), 0),
+    0,
+  );
+  const recordBytes = RECORD_STORES.reduce((sum, name) => sum + JSON.stringify(data[name] || []).length, 0);
+  return blobBytes + recordBytes;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+async function estimateBackupSize() {
+  if (!state.db) return 0;
+  const tx = state.db.transaction(BACKUP_STORE, 'readonly');
+  const entries = await requestToPromise(tx.objectStore(BACKUP_STORE).getAll());
+  return entries.reduce((sum, entry) => sum + (entry.blob ? entry.blob.size : estimateDataSize(entry.data || {})), 0);
+}
+
+async function getStorageStatus() {
+  const estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+  const quota = estimate.quota || 0;
+  // reading every backup is slow, so the size is cached until a backup changes
+  if (state.backupBytes == null) state.backupBytes = await estimateBackupSize();
+  return {
+    quota,
+    limit: quota * STORAGE_QUOTA_RATIO,
+    usage: estimateDataSize() + state.backupBytes,
+    backupUsage: state.backupBytes,
+    browserUsage: estimate.usage || 0,
+  };
+}
+
+function collectImageUsage() {
+  const refs = new Map();
+  const addRef = (kind, item) => {
+    if (!item.imageId) return;
+    if (!refs.has(item.imageId)) refs.set(item.imageId, []);
+    refs.get(item.imageId).push({ kind, item });
+  };
+  state.data.posts.forEach((post) => addRef('post', post));
+  state.data.replies.forEach((reply) => addRef('reply', reply));
+  state.data.trash.forEach((entry) => addRef('trash', entry.item));
+
+  return Object.entries(state.data.images).map(([id, blob]) => {
+    const imageRefs = refs.get(id) || [];
+    return {
+      id,
+      size: blob.size,
+      refs: imageRefs,
+      oldest: imageRefs.length ? Math.min(...imageRefs.map((r) => r.item.createdAt)) : 0,
+      newest: imageRefs.length ? Math.max(...imageRefs.map((r) => r.item.createdAt)) : 0,
+    };
+  });
+}
+
+function removeImages(imageIds, { evicted = false } = {}) {
+  const ids = new Set(imageIds);
+  [...state.data.posts, ...state.data.replies, ...state.data.trash.map((e) => e.item)].forEach((item) => {
+    if (!ids.has(item.imageId)) return;
+    item.imageId = null;
+    item.imageRemoved = evicted;
+  });
+  ids.forEach((id) => {
+    delete state.data.images[id];
+    addTombstone('image', id);
+    // removed to free space, so snapshots do not keep a copy either
+    state.releasedBlobs.add(getKeptBlobKey(IMAGE_STORE, id));
+  });
+}
+
+function planEviction(excess) {
+  // images used by the oldest posts and replies go first
+  const candidates = collectImageUsage().sort((a, b) => a.oldest - b.oldest);
+  const plan = [];
+  let freed = 0;
+  for (const entry of candidates) {
+    if (freed >= excess) break;
+    plan.push(entry);
+    freed += entry.size;
+  }
+  return { plan, freed };
+}
+
+async function enforceStorageLimit() {
+  const status = await getStorageStatus();
+  if (!status.quota || status.usage <= status.limit || state.storageWarningDismissed) return;
+  const { plan, freed } = planEviction(status.usage - status.limit);
+  if (!plan.length) return;
+
+  const confirmed = window.confirm(
+    `保存容量が上限に近づいています。\n古い投稿の画像 ${plan.length}枚（${formatBytes(freed)}）を削除して空きを作りますか？\n` +
+    'キャンセルした場合は、インポートタブの「容量管理」から削除・圧縮する画像を選べます。',
+  );
+  if (!confirmed) {
+    state.storageWarningDismissed = true;
+    refreshStoragePanel();
+    return;
+  }
+  removeImages(plan.map((entry) => entry.id), { evicted: true });
+  await writeChanges();
+  render();
+}
+
+async function recompressImages(imageIds, quality) {
+  let saved = 0;
+  for (const id of imageIds) {
+    const blob = state.data.images[id];
+    if (!blob) continue;
+    // only JPEGs become JPEGs again; everything else stays PNG to keep its transparency
+    const type = blob.type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+    try {
+      // keep the image's own size; only the encoding changes
+      const next = dataUrlToBlob(await reencodeImage(getImageUrl(id), { quality, type, maxWidth: Infinity }));
+      if (next.size < blob.size) {
+        state.data.images[id] = next;
+        saved += blob.size - next.size;
+      }
+    } catch (e) {
+      console.error('Failed to recompress image', id, e);
+    }
+  }
+  return saved;
+}
+
+function describeImageRef({ kind, item }) {
+  const kindLabel = { post: 'ポスト', reply: 'リプライ', trash: 'ゴミ箱' }[kind];
+  const text = item.texts.map((t) => t.content).find(Boolean) || '';
+  return `${kindLabel} ${formatDate(item.createdAt)} ${text.slice(0, 30)}`;
+}
+
+const refreshStoragePanel = () => renderStoragePanel()
+  .catch((e) => console.error('Failed to render storage panel', e));
+
+async function renderStoragePanel() {
+  const panel = document.getElementById('storage-panel');
+  if (!panel) return;
+  const status = await getStorageStatus();
+  const images = collectImageUsage();
+  const imageBytes = images.reduce((sum, entry) => sum + entry.size, 0);
+  const selection = state.storageSelection;
+  [...selection].forEach((id) => {
+    if (!state.data.images[id]) selection.delete(id);
+  });
+
+  panel.innerHTML = '';
+  const title = document.createElement('h3');
+  title.className = 'storage-title';
+  title.textContent = '容量管理';
+
+  const summary = document.createElement('div');
+  summary.className = 'storage-summary';
+  const lines = [
+    `データ使用量：${formatBytes(status.usage)}${status.quota ? ` / 上限 ${formatBytes(status.limit)}` : ''}`,
+    `画像：${images.length}枚（${formatBytes(imageBytes)}） / テキスト：${formatBytes(status.usage - imageBytes - status.backupUsage)}`,
+    `スナップショット・バックアップ：${formatBytes(status.backupUsage)}`,
+  ];
+  if (status.browserUsage) lines.push(`ブラウザ全体の使用量：${formatBytes(status.browserUsage)}`);
+  lines.forEach((line) => {
+    const row = document.createElement('div');
+    row.textContent = line;
+    summary.appendChild(row);
+  });
+  if (status.quota) {
+    const meter = document.createElement('progress');
+    meter.className = 'storage-meter';
+    meter.max = status.limit;
+    meter.value = Math.min(status.usage, status.limit);
+    summary.appendChild(meter);
+  }
+  panel.append(title, summary);
+
+  if (status.quota && status.usage > status.limit * 0.8) {
+    const warning = document.createElement('div');
+    warning.className = 'storage-warning';
+    warning.textContent = status.usage > status.limit
+      ? '保存容量の上限を超えています。画像を削除または圧縮してください。'
+      : '保存容量の上限に近づいています。';
+    panel.appendChild(warning);
+  }
+
+  if (!images.length) {
+    const empty = document.createElement('div');
+    empty.className = 'helper';
+    empty.textContent = '保存されている画像はありません。';
+    panel.appendChild(empty);
+    return;
+  }
+
+  const sortRow = document.createElement('div');
+  sortRow.className = 'storage-sort';
+  [['size', 'サイズ順'], ['post', 'ポストごと（新しい順）']].forEach(([value, label]) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = `storage-sort-button${state.storageSort === value ? ' active' : ''}`;
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      state.storageSort = value;
+      refreshStoragePanel();
+    });
+    sortRow.appendChild(btn);
+  });
+  panel.appendChild(sortRow);
+
+  images.sort((a, b) => (state.storageSort === 'size' ? b.size - a.size : b.newest - a.newest));
+  const list = document.createElement('div');
+  list.className = 'storage-list';
+  images.forEach((entry) => {
+    const row = document.createElement('label');
+    row.className = 'storage-item';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selection.has(entry.id);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) selection.add(entry.id);
+      else selection.delete(entry.id);
+      updateActions();
+    });
+    const thumb = document.createElement('img');
+    thumb.className = 'storage-thumb';
+    thumb.loading = 'lazy';
+    thumb.alt = '';
+    thumb.src = getImageUrl(entry.id);
+    const info = document.createElement('div');
+    info.className = 'storage-info';
+    const size = document.createElement('div');
+    size.className = 'storage-size';
+    size.textContent = formatBytes(entry.size);
+    info.appendChild(size);
+    (entry.refs.length ? entry.refs.map(describeImageRef) : ['（未使用）']).forEach((text) => {
+      const ref = document.createElement('div');
+      ref.className = 'storage-ref';
+      ref.textContent = text;
+      info.appendChild(ref);
+    });
+    row.append(checkbox, thumb, info);
+    list.appendChild(row);
+  });
+  panel.appendChild(list);
+
+  const actions = document.createElement('div');
+  actions.className = 'storage-actions';
+  const qualitySelect = document.createElement('select');
+  qualitySelect.className = 'language-select-input';
+  [['0.8', '画質：高'], ['0.6', '画質：中'], ['0.4', '画質：低']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    qualitySelect.appendChild(option);
+  });
+  qualitySelect.value = '0.6';
+  const recompressBtn = document.createElement('button');
+  recompressBtn.type = 'button';
+  recompressBtn.className = 'primary-button trash-action-button';
+  recompressBtn.addEventListener('click', async () => {
+    recompressBtn.disabled = true;
+    const saved = await recompressImages([...selection], Number(qualitySelect.value));
+    selection.clear();
+    await persistData();
+    render();
+    alert(saved ? `${formatBytes(saved)} 削減しました` : 'これ以上小さくできませんでした');
+  });
+  const deleteBtn = document.createElement('button');
+  deleteBtn.type = 'button';
+  deleteBtn.className = 'trash-action-button danger-button';
+  deleteBtn.addEventListener('click', async () => {
+    if (!window.confirm(`選択した画像 ${selection.size}枚を削除しますか？（投稿のテキストは残ります）`)) return;
+    removeImages([...selection]);
+    selection.clear();
+    await persistData();
     render();
   });
+  const updateActions = () => {
+    const selectedBytes = [...selection].reduce((sum, id) => sum + (state.data.images[id]?.size || 0), 0);
+    recompressBtn.textContent = `再圧縮（${selection.size}）`;
+    deleteBtn.textContent = `削除（${formatBytes(selectedBytes)}）`;
+    recompressBtn.disabled = !selection.size;
+    deleteBtn.disabled = !selection.size;
+  };
+  updateActions();
+  actions.append(qualitySelect, recompressBtn, deleteBtn);
+  panel.appendChild(actions);
+}
+
+function updateScrollLock() {
+  const modalOpen = !document.getElementById('modal').classList.contains('hidden');
+  const imageOpen = !document.getElementById('image-viewer').classList.contains('hidden');
+  document.body.classList.toggle('modal-open', modalOpen || imageOpen);
+}
+
+function showModalElement(modal) {
+  modal.classList.remove('hidden', 'closing');
+  requestAnimationFrame(() => modal.classList.add('active'));
+  updateScrollLock();
+}
+
+function hideModalElement(modal) {
+  let finished = false;
+  const complete = () => {
+    if (finished) return;
+    finished = true;
+    modal.classList.add('hidden');
+    modal.classList.remove('closing');
+    modal.removeEventListener('transitionend', complete);
+    updateScrollLock();
+  };
+
+  modal.addEventListener('transitionend', complete);
+  modal.classList.remove('active');
+  modal.classList.add('closing');
+  setTimeout(complete, 320);
+}
+
+function openModal(content, title = '投稿') {
+  const modal = document.getElementById('modal');
+  const body = document.getElementById('modal-body');
+  const titleEl = document.getElementById('modal-title');
+  titleEl.textContent = title;
+  body.innerHTML = '';
+  body.appendChild(content);
+  showModalElement(modal);
+}
+
+function closeModal() {
+  stopRecording();
+  hideModalElement(document.getElementById('modal'));
+}
+
+function createSpeakerSelector(selected = 'me') {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'speaker-select';
+
+  const hiddenValue = document.createElement('input');
+  hiddenValue.type = 'hidden';
+  hiddenValue.className = 'speaker-select-value';
+  hiddenValue.value = selected;
+
+  const trigger = document.createElement('button');
+  trigger.type = 'button';
+  trigger.className = 'speaker-select-trigger';
+
+  const dropdown = document.createElement('div');
+  dropdown.className = 'speaker-options';
+
+  const updateTrigger = (value) => {
+    hiddenValue.value = value;
+    trigger.innerHTML = '';
+    const selectedOpt = speakerOptions.find((opt) => opt.value === value) || speakerOptions[0];
+    trigger.appendChild(createSpeakerIcon(selectedOpt));
+  };
+
+  speakerOptions.forEach((opt) => {
+    const optionBtn = document.createElement('button');
+    optionBtn.type = 'button';
+    optionBtn.className = 'speaker-option';
+    optionBtn.title = opt.label;
+    optionBtn.setAttribute('aria-label', opt.label);
+
+    optionBtn.appendChild(createSpeakerIcon(opt));
+    optionBtn.addEventListener('click', () => {
+      updateTrigger(opt.value);
+      dropdown.classList.remove('open');
+    });
+    dropdown.appendChild(optionBtn);
+  });
+
+  trigger.addEventListener('click', () => {
+    dropdown.classList.toggle('open');
+  });
+
+  const handleOutside = (e) => {
+    if (!wrapper.contains(e.target)) {
+      dropdown.classList.remove('open');
+    }
+  };
+  document.addEventListener('pointerdown', handleOutside);
+
+  updateTrigger(selected);
+
+  wrapper.append(hiddenValue, trigger, dropdown);
+  return wrapper;
+}
+
+function createSpeakerBadge(type = 'none') {
+  const info = speakerOptions.find((opt) => opt.value === type) || speakerOptions.find((opt) => opt.value === 'none');
+  const badge = document.createElement('span');
+  badge.className = 'speaker-badge';
+
+  badge.append(createSpeakerIcon(info));
+  return badge;
+}
+
+const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+// Speech needs far less than the browser default, and the blob is stored as is.
+const RECORDING_BITS_PER_SECOND = 32000;
+const MAX_RECORDING_MS = 60 * 1000;
+
+const canRecordAudio = () => typeof MediaRecorder !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+
+// Resolves once the recorder has handed its blob to onStop; the blob only
+// arrives with the stop event, after stop() has returned.
+function stopRecording() {
+  const recorder = state.recorder;
+  if (!recorder) return Promise.resolve();
+  if (recorder.state === 'recording') recorder.stop();
+  return recorder.stopped;
+}
+
+async function startRecording(onStop) {
+  await stopRecording();
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const mimeType = RECORDING_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported?.(type));
+  const recorder = new MediaRecorder(stream, {
+    ...(mimeType ? { mimeType } : {}),
+    audioBitsPerSecond: RECORDING_BITS_PER_SECOND,
+  });
+  const chunks = [];
+  const timer = setTimeout(stopRecording, MAX_RECORDING_MS);
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data.size) chunks.push(e.data);
+  });
+  recorder.stopped = new Promise((resolve) => {
+    recorder.addEventListener('stop', () => {
+      clearTimeout(timer);
+      stream.getTracks().forEach((track) => track.stop());
+      if (state.recorder === recorder) state.recorder = null;
+      onStop(chunks.length ? new Blob(chunks, { type: recorder.mimeType || mimeType || 'audio/webm' }) : null);
+      resolve();
+    });
+  });
+  recorder.start();
+  state.recorder = recorder;
+}
+
+// The wrapper keeps { id, blob }: id is the saved recording, blob a new take
+// that is stored only when the form is submitted.
+function createRecordingControls(wrapper, recordingId) {
+  wrapper.recording = { id: recordingId && state.data.recordings[recordingId] ? recordingId : null, blob: null };
+  const row = document.createElement('div');
+  row.className = 'recording-row';
+
+  const recordBtn = document.createElement('button');
+  recordBtn.type = 'button';
+  recordBtn.className = 'text-action-button recording-button';
+  const audio = document.createElement('audio');
+  audio.controls = true;
+  audio.className = 'recording-preview';
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'text-action-button recording-button';
+  removeBtn.textContent = '録音を削除';
+  let previewUrl = null;
+
+  const update = ({ recording = false } = {}) => {
+    const { id, blob } = wrapper.recording;
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+    previewUrl = blob ? URL.createObjectURL(blob) : null;
+    const src = previewUrl || getRecordingUrl(id);
+    if (src) audio.src = src;
+    else audio.removeAttribute('src');
+    audio.hidden = !src || recording;
+    removeBtn.hidden = !src || recording;
+    recordBtn.hidden = !canRecordAudio();
+    recordBtn.classList.toggle('recording', recording);
+    recordBtn.textContent = recording ? '■ 停止' : src ? '● 録り直す' : '● 自分の声を録音';
+    row.hidden = recordBtn.hidden && !src;
+  };
+
+  recordBtn.addEventListener('click', async () => {
+    if (state.recorder?.state === 'recording') {
+      stopRecording();
+      return;
+    }
+    audio.pause();
+    try {
+      await startRecording((blob) => {
+        if (blob) wrapper.recording = { id: null, blob };
+        update();
+      });
+      update({ recording: true });
+    } catch (e) {
+      console.error('Failed to start recording', e);
+      alert('マイクを使用できませんでした。ブラウザのマイクの許可を確認してください。');
+    }
+  });
+
+  removeBtn.addEventListener('click', () => {
+    audio.pause();
+    wrapper.recording = { id: null, blob: null };
+    update();
+  });
+
+  update();
+  row.append(recordBtn, audio, removeBtn);
+  return row;
+}
+
+function createTextBlockInput(value = '', lang = 'ja', pronunciation = '', speakerType = 'me', removable = true, onRemove = null, recordingId = null) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'text-area-wrapper';
+
+  const speakerSelector = createSpeakerSelector(speakerType);
+  wrapper.appendChild(speakerSelector);
+
+  const fieldContainer = document.createElement('div');
+  fieldContainer.className = 'text-area-fields';
+
+  const textarea = document.createElement('textarea');
+  textarea.value = value;
+  textarea.className = 'text-area';
+  fieldContainer.appendChild(textarea);
+
+  const pronunciationInput = document.createElement('input');
+  pronunciationInput.type = 'text';
+  pronunciationInput.placeholder = '発音（任意）';
+  pronunciationInput.className = 'pronunciation-input';
+  pronunciationInput.value = pronunciation;
+  fieldContainer.appendChild(pronunciationInput);
+
+  const langRow = document.createElement('div');
+  langRow.className = 'language-select';
+
+  const select = document.createElement('select');
+  select.className = 'language-select-input';
+  getLanguages({ includeHidden: true }).filter((opt) => !opt.hidden || opt.value === lang).forEach((opt) => {
+    const option = document.createElement('option');
+    option.value = opt.value;
+    option.textContent = opt.label;
+    if (opt.value === lang) option.selected = true;
+    select.appendChild(option);
+  });
+  langRow.appendChild(select);
+
+  const speakBtn = document.createElement('button');
+  speakBtn.type = 'button';
+  speakBtn.className = 'text-action-button language-select-button';
+  speakBtn.innerHTML = '<img src="img/vol.svg" alt="" width="16" class="icon-inline"> 再生';
+  speakBtn.addEventListener('click', () => playSpeech(textarea.value, select.value, {
+    speaker: speakerSelector.querySelector('.speaker-select-value').value,
+  }));
+  langRow.appendChild(speakBtn);
+
+  fieldContainer.appendChild(langRow);
+  fieldContainer.appendChild(createRecordingControls(wrapper, recordingId));
+  wrapper.appendChild(fieldContainer);
+  if (removable) {
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="25" class="icon-inline">';
+    removeBtn.addEventListener('click', () => {
+      if (wrapper.parentElement.children.length > 1) {
+        stopRecording();
+        wrapper.remove();
+        if (onRemove) onRemove();
+      }
+    });
+    removeBtn.className = 'remove-text-btn';
+    wrapper.appendChild(removeBtn);
+  }
+  return wrapper;
+}
+
+function buildPostForm({ mode = 'create', targetPost = null, parentId = null }) {
+  const fragment = document.createDocumentFragment();
+  const container = document.createElement('div');
+  container.className = 'modal-body-section';
+  fragment.appendChild(container);
+  const tagSection = document.createElement('div');
+  tagSection.className = 'modal-tag-section';
+  const tagInput = document.createElement('input');
+  tagInput.type = 'text';
+  tagInput.placeholder = '#タグ をスペースまたはカンマ区切りで入力';
+  tagInput.className = 'tag-input';
+  if (targetPost?.tags?.length) {
+    tagInput.value = targetPost.tags.map((t) => `#${t}`).join(' ');
+  }
+  tagSection.append(tagInput);
+  const textAreaContainer = document.createElement('div');
+  textAreaContainer.id = 'text-block-container';
+  textAreaContainer.classList.add('text-block-container');
+  let addBtn;
+
+  const updateTextControls = () => {
+    const count = textAreaContainer.children.length;
+    if (addBtn) addBtn.disabled = count >= 4;
+    const removeButtons = textAreaContainer.querySelectorAll('.remove-text-btn');
+    removeButtons.forEach((btn) => {
+      btn.disabled = count <= 1;
+    });
+  };
+
+  const handleTextBlockChange = () => updateTextControls();
+
+  const addTextBlock = (content = '', language = 'ja', pronunciation = '', speakerType = 'me', recordingId = null) => {
+    const block = createTextBlockInput(content, language, pronunciation, speakerType, true, handleTextBlockChange, recordingId);
+    textAreaContainer.appendChild(block);
+    handleTextBlockChange();
+  };
+
+  if (targetPost) {
+    textAreaContainer.innerHTML = '';
+    const texts = targetPost.texts || [{ content: '', language: 'ja' }];
+    texts.forEach((t) => addTextBlock(t.content, t.language, t.pronunciation || '', t.speaker_type || t.speaker || 'none', t.recordingId));
+  } else {
+    addTextBlock();
+  }
+
+  addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.textContent = '＋';
+  addBtn.className = 'add-text-button';
+  addBtn.addEventListener('click', () => {
+    if (textAreaContainer.children.length >= 4) return;
+    addTextBlock();
+  });
+
+  updateTextControls();
+
+  const imageRow = document.createElement('div');
+  imageRow.className = 'form-row';
+  const fileLabel = document.createElement('label');
+  fileLabel.className = 'modal-file-button';
+  fileLabel.innerHTML = '<img src="img/img_off.svg" alt="画像" width="25" class="icon-inline">'
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'image/*';
+  fileInput.className = 'file-input';
+  fileLabel.appendChild(fileInput);
+
+  const removeImageBtn = document.createElement('button');
+  removeImageBtn.type = 'button';
+  removeImageBtn.innerHTML = '<img src="img/delete.svg" alt="画像を削除" width="30" class="remove-image-icon icon-inline">';
+  removeImageBtn.className = 'remove-image-btn';
+
+  const imagePreview = document.createElement('div');
+  imagePreview.className = 'image-preview';
+  imageRow.appendChild(imagePreview);
+
+  const originalImageId = targetPost?.imageId || null;
+  const existingImageUrl = getImageUrl(originalImageId);
+  let imageDataUrl = null;
+  let removeImage = false;
+
+  const renderPreview = () => {
+    imagePreview.innerHTML = '';
+    const currentUrl = imageDataUrl || (!removeImage ? existingImageUrl : null);
+    if (currentUrl) {
+      const img = document.createElement('img');
+      img.src = currentUrl;
+      img.alt = '選択中の画像';
+      img.className = 'image-preview-img';
+      imagePreview.appendChild(img);
+    }
+    removeImageBtn.hidden = !currentUrl;
+    if (currentUrl) {
+      imagePreview.appendChild(removeImageBtn);
+    }
+    imageRow.style.display = imagePreview.childElementCount ? '' : 'none';
+  };
+
+  renderPreview();
+
+  fileInput.addEventListener('change', async (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+    const dataUrl = await readFileAsDataUrl(file);
+    imageDataUrl = await resizeIfNeeded(dataUrl);
+    removeImage = false;
+    renderPreview();
+  });
+
+  removeImageBtn.addEventListener('click', () => {
+    imageDataUrl = null;
+    removeImage = true;
+    fileInput.value = '';
+    renderPreview();
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'modal-action-button';
+  cancelBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="25" class="icon-inline">';
+  cancelBtn.addEventListener('click', () => closeModal());
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'button';
+  submitBtn.className = 'modal-primary-button primary-button modal-action-button';
+  submitBtn.textContent = mode === 'reply' ? 'Reply' : mode === 'edit' ? 'Save' : 'Post';
+
+  submitBtn.addEventListener('click', async () => {
+    // a take that is still running belongs to this post
+    await stopRecording();
+    const wrappers = Array.from(textAreaContainer.children);
+    const textBlocks = wrappers.map((el) => {
+      const speakerValue = el.querySelector('.speaker-select-value')?.value || 'me';
+      const block = {
+        content: el.querySelector('.text-area').value.trim(),
+        language: el.querySelector('.language-select-input').value,
+        pronunciation: el.querySelector('.pronunciation-input').value.trim(),
+        speaker: speakerValue,
+        speaker_type: speakerValue,
+      };
+      if (el.recording?.id) block.recordingId = el.recording.id;
+      return block;
+    });
+    const hasContent = textBlocks.some((t) => t.content.length > 0);
+    if (!hasContent) {
+      alert('テキストを入力してください。');
+      return;
+    }
+    wrappers.forEach((el, index) => {
+      if (!el.recording?.blob) return;
+      const recordingId = createId('rec');
+      state.data.recordings[recordingId] = el.recording.blob;
+      textBlocks[index].recordingId = recordingId;
+    });
+    const tagsFromText = extractTags(textBlocks);
+    const manualTags = tagInput.value
+      .split(/[\s,、]+/)
+      .map((t) => t.replace(/^#/, '').trim())
+      .filter((t) => t.length > 0);
+    const tags = Array.from(new Set([...tagsFromText, ...manualTags]));
+    let imageId = targetPost ? targetPost.imageId : null;
+
+    if (imageDataUrl) {
+      imageId = await ensureImageId(imageDataUrl);
+    } else if (removeImage) {
+      imageId = null;
+    }
+
+    if (mode === 'reply') {
+      const reply = {
+        id: createId('reply'),
+        postId: parentId,
+        texts: textBlocks,
+        tags,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        imageId: imageId || null,
+        isDeleted: false,
+        revisions: [],
+      };
+      state.data.replies.push(reply);
+    } else if (mode === 'edit' && targetPost) {
+      recordRevision(targetPost, textBlocks, tags);
+      remapReviewItems(targetPost, textBlocks);
+      targetPost.texts = textBlocks;
+      targetPost.tags = tags;
+      targetPost.updatedAt = Date.now();
+      if (imageDataUrl !== null) {
+        targetPost.imageId = imageId;
+        targetPost.imageRemoved = false;
+        if (originalImageId && originalImageId !== imageId) {
+          removeImageIfUnused(originalImageId);
+        }
+      } else if (removeImage) {
+        removeImageIfUnused(originalImageId);
+        targetPost.imageId = null;
+        targetPost.imageRemoved = false;
+      }
+    } else {
+      const post = {
+        id: createId('post'),
+        texts: textBlocks,
+        tags,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        imageId: imageId || null,
+        imageRemoved: false,
+        isDeleted: false,
+        liked: false,
+        likedAt: null,
+        likedUpdatedAt: null,
+        repostOf: targetPost?.id ?? null,
+        revisions: [],
+      };
+      state.data.posts.push(post);
+    }
+
+    persistData();
+    closeModal();
+    render();
+  });
+
+  actions.append(cancelBtn, fileLabel, submitBtn);
+
+  container.appendChild(textAreaContainer);
+  container.appendChild(addBtn);
+  container.appendChild(imageRow);
+  fragment.appendChild(tagSection);
+  fragment.appendChild(actions);
+  return fragment;
+}
+
+const RATE_RANGE = { min: 0.5, max: 2, step: 0.1 };
+const PITCH_RANGE = { min: 0, max: 2, step: 0.1 };
+
+// Speaker-specific values override the language's 標準 row; anything left
+// empty falls back to the voice hint in the language settings and the browser defaults.
+function resolveVoiceSettings(lang, speaker) {
+  const config = state.data.settings.voices?.[lang] || {};
+  const base = config.default || {};
+  const own = (speaker && speaker !== 'default' && config[speaker]) || {};
+  return {
+    voiceURI: own.voiceURI || base.voiceURI || '',
+    rate: own.rate ?? base.rate ?? 1,
+    pitch: own.pitch ?? base.pitch ?? 1,
+  };
+}
+
+const getVoicesForLanguage = (lang) => {
+  const prefix = lang.split('-')[0].toLowerCase();
+  return window.speechSynthesis.getVoices().filter((v) => v.lang.replace('_', '-').toLowerCase().split('-')[0] === prefix);
+};
+
+function findVoice(lang, voiceURI) {
+  const voices = getVoicesForLanguage(lang);
+  const hint = findLanguage(lang)?.voiceHint;
+  return voices.find((v) => voiceURI && v.voiceURI === voiceURI)
+    || (hint && voices.find((v) => v.name.includes(hint)))
+    || voices.find((v) => v.lang.replace('_', '-') === lang)
+    || null;
+}
+
+const CJK_CHARACTER = /[\p{Script=Han}\p{Script=Hangul}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const SPEECH_UNIT_PATTERN = /[\p{Script=Han}\p{Script=Hangul}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}'’-]+|[^\s\p{L}\p{N}]+/gu;
+// Syllables per second at rate 1, used until a finished utterance gives a
+// measured pace for the language.
+const DEFAULT_SPEECH_PACE = { ko: 6.5, zh: 4.5, ja: 7.5 };
+const FALLBACK_SPEECH_PACE = 4;
+const BOUNDARY_WAIT_MS = 600;
+const HIGHLIGHT_TICK_MS = 50;
+
+// Each unit is one CJK character or one word; its weight approximates the
+// number of syllables, and punctuation stands for the short pause it causes.
+function splitSpeechUnits(text) {
+  return [...text.matchAll(SPEECH_UNIT_PATTERN)].map((m) => {
+    const [value] = m;
+    const isWord = /[\p{L}\p{N}]/u.test(value);
+    let weight = 1.5;
+    if (CJK_CHARACTER.test(value)) weight = 1;
+    else if (isWord) weight = Math.max(1, value.length / 3);
+    return { start: m.index, end: m.index + value.length, weight, isWord };
+  });
+}
+
+const getPaceKey = (lang) => lang.split('-')[0].toLowerCase();
+
+function showSpeechHighlight(element, text, start, end) {
+  const mark = document.createElement('mark');
+  mark.className = 'speech-highlight';
+  mark.textContent = text.slice(start, end);
+  element.replaceChildren(text.slice(0, start), mark, text.slice(end));
+}
+
+// Highlights the spoken range inside `element` (whose text is the utterance).
+// Boundary events are used when the engine sends them; CJK text, and any
+// utterance that stays silent about boundaries, falls back to timing estimated
+// from the language's pace.
+function trackSpeechPosition(utter, element) {
+  const text = utter.text;
+  const units = splitSpeechUnits(text);
+  const paceKey = getPaceKey(utter.lang);
+  const totalWeight = units.reduce((sum, unit) => sum + unit.weight, 0);
+  let interval = null;
+  let waitTimer = null;
+  let elapsed = 0;
+  let lastTick = 0;
+  let estimated = false;
+  let shown = null;
+
+  const highlightAt = (charIndex, charLength) => {
+    if (!element.isConnected) return;
+    const unit = units.find((u) => u.isWord && u.end > charIndex);
+    if (!unit) return;
+    const start = charLength ? charIndex : unit.start;
+    const end = charLength ? charIndex + charLength : unit.end;
+    if (shown === `${start}:${end}`) return;
+    shown = `${start}:${end}`;
+    showSpeechHighlight(element, text, start, end);
+  };
+
+  const tick = () => {
+    const now = Date.now();
+    if (!window.speechSynthesis.paused) elapsed += now - lastTick;
+    lastTick = now;
+    const pace = (state.speechPace[paceKey] || DEFAULT_SPEECH_PACE[paceKey] || FALLBACK_SPEECH_PACE) * utter.rate;
+    let position = (elapsed / 1000) * pace;
+    const unit = units.find((u) => {
+      position -= u.weight;
+      return position < 0;
+    });
+    if (unit?.isWord) highlightAt(unit.start, unit.end - unit.start);
+  };
+
+  const estimate = () => {
+    estimated = true;
+    lastTick = Date.now();
+    tick();
+    interval = setInterval(tick, HIGHLIGHT_TICK_MS);
+  };
+
+  const finish = (e) => {
+    clearInterval(interval);
+    clearTimeout(waitTimer);
+    if (element.isConnected) element.textContent = text;
+    if (state.speechHighlight === finish) state.speechHighlight = null;
+    // remember how fast this voice actually speaks the language
+    if (estimated && e?.type === 'end' && elapsed > 500 && totalWeight) {
+      const measured = totalWeight / (elapsed / 1000) / utter.rate;
+      const previous = state.speechPace[paceKey];
+      state.speechPace[paceKey] = previous ? (previous + measured) / 2 : measured;
+    }
+  };
+
+  utter.addEventListener('start', () => {
+    state.speechHighlight?.();
+    state.speechHighlight = finish;
+    if (CJK_CHARACTER.test(text)) estimate();
+    else waitTimer = setTimeout(estimate, BOUNDARY_WAIT_MS);
+  });
+  utter.addEventListener('boundary', (e) => {
+    if (estimated || (e.name && e.name !== 'word')) return;
+    clearTimeout(waitTimer);
+    highlightAt(e.charIndex, e.charLength);
+  });
+  utter.addEventListener('end', finish);
+  utter.addEventListener('error', finish);
+}
+
+function playSpeech(text, lang, { speaker = 'none', rateScale = 1, onEnd, highlight = null } = {}) {
+  if (!text || !isSpeakable(lang)) return null;
+  const utter = new SpeechSynthesisUtterance(text);
+  utter.lang = lang;
+  const settings = resolveVoiceSettings(lang, speaker);
+  const voice = findVoice(lang, settings.voiceURI);
+  if (voice) utter.voice = voice;
+  utter.rate = settings.rate * rateScale;
+  utter.pitch = settings.pitch;
+  if (onEnd) {
+    utter.onend = onEnd;
+    utter.onerror = onEnd;
+  }
+  // blanks and covers in study mode must not be replaced by the highlight
+  if (highlight && !highlight.classList.contains('study-content')) trackSpeechPosition(utter, highlight);
+  window.speechSynthesis.speak(utter);
+  return utter;
+}
+
+function updateVoiceSetting(lang, key, field, value) {
+  const voices = state.data.settings.voices || {};
+  const config = { ...(voices[lang] || {}) };
+  const entry = { ...(config[key] || {}) };
+  if (value === '' || value == null) delete entry[field];
+  else entry[field] = value;
+  if (Object.keys(entry).length) config[key] = entry;
+  else delete config[key];
+  state.data.settings.voices = { ...voices, [lang]: config };
+  persistData();
+}
+
+function createVoiceSettingRow(lang, key, label) {
+  const saved = state.data.settings.voices?.[lang]?.[key] || {};
+  const isDefault = key === 'default';
+  const row = document.createElement('div');
+  row.className = 'voice-setting-row';
+
+  const name = document.createElement('div');
+  name.className = 'voice-setting-name';
+  name.textContent = label;
+
+  const available = getVoicesForLanguage(lang);
+  const fallback = findVoice(lang, '');
+  const choices = [['', isDefault ? `自動（${fallback ? fallback.name : 'ブラウザの既定'}）` : '標準と同じ']];
+  available.forEach((v) => choices.push([v.voiceURI, `${v.name}（${v.lang}）`]));
+  if (saved.voiceURI && !available.some((v) => v.voiceURI === saved.voiceURI)) {
+    choices.push([saved.voiceURI, `${saved.voiceURI}（この端末にはありません）`]);
+  }
+  const voiceSelect = createSelect(choices, saved.voiceURI || '');
+  voiceSelect.addEventListener('change', () => updateVoiceSetting(lang, key, 'voiceURI', voiceSelect.value));
+
+  const numberInput = (field, range, title) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = range.min;
+    input.max = range.max;
+    input.step = range.step;
+    input.className = 'voice-number-input';
+    input.title = title;
+    input.placeholder = isDefault ? '1' : '標準';
+    input.value = saved[field] ?? '';
+    input.addEventListener('change', () => {
+      if (input.value === '') {
+        updateVoiceSetting(lang, key, field, '');
+        return;
+      }
+      const value = Math.min(range.max, Math.max(range.min, Number(input.value) || 1));
+      input.value = value;
+      updateVoiceSetting(lang, key, field, value);
+    });
+    const wrap = document.createElement('label');
+    wrap.className = 'voice-number';
+    wrap.append(title, input);
+    return wrap;
+  };
+
+  const testBtn = document.createElement('button');
+  testBtn.type = 'button';
+  testBtn.className = 'text-action-button';
+  testBtn.innerHTML = '<img src="img/vol.svg" alt="試聴" width="16" class="icon-inline">';
+  const sample = LANGUAGE_SAMPLES[lang] || getLanguageLabel(lang);
+  testBtn.addEventListener('click', () => {
+    stopPlayback();
+    window.speechSynthesis.cancel();
+    playSpeech(sample, lang, { speaker: key });
+  });
+
+  row.append(name, voiceSelect, numberInput('rate', RATE_RANGE, '速さ'), numberInput('pitch', PITCH_RANGE, '高さ'), testBtn);
+  return row;
+}
+
+function buildVoiceSettingsView() {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section export-panel voice-settings';
+  const helper = document.createElement('p');
+  helper.className = 'helper';
+  helper.textContent = '言語ごとの標準と、話者ごとの声・速さ・高さを選べます。空欄は標準（または自動）と同じです。';
+  container.appendChild(helper);
+
+  const speakers = speakerOptions.filter((opt) => opt.value !== 'none');
+  getLanguages().filter((opt) => opt.speakable).forEach((opt) => {
+    const section = document.createElement('details');
+    section.className = 'voice-language';
+    const summary = document.createElement('summary');
+    summary.className = 'post-filter-label';
+    summary.textContent = `${opt.label}（${getVoicesForLanguage(opt.value).length}件の音声）`;
+    section.append(
+      summary,
+      createVoiceSettingRow(opt.value, 'default', '標準'),
+      ...speakers.map((speaker) => createVoiceSettingRow(opt.value, speaker.value, speaker.label)),
+    );
+    container.appendChild(section);
+  });
+  return container;
+}
+
+function openVoiceSettings() {
+  openModal(buildVoiceSettingsView(), '音声設定');
+}
+
+function countLanguageUsage() {
+  const usage = new Map();
+  [...state.data.posts, ...state.data.replies, ...state.data.trash.map((entry) => entry.item)].forEach((item) => {
+    (item.texts || []).forEach(({ language }) => usage.set(language, (usage.get(language) || 0) + 1));
+  });
+  return usage;
+}
+
+function normalizeLanguageCode(value) {
+  try {
+    return Intl.getCanonicalLocales(value.trim())[0] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveLanguages(languages) {
+  state.data.settings.languages = languages;
+  persistData();
+  render();
+  const view = document.querySelector('.language-settings');
+  if (view) view.replaceWith(buildLanguageSettingsView());
+}
+
+function createLanguageSettingRow(lang, index, languages, usage) {
+  const row = document.createElement('div');
+  row.className = 'language-setting-row';
+  const update = (changes) => saveLanguages(languages.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  const move = (offset) => {
+    const next = [...languages];
+    next.splice(index + offset, 0, ...next.splice(index, 1));
+    saveLanguages(next);
+  };
+
+  const order = document.createElement('div');
+  order.className = 'language-order';
+  [['↑', -1], ['↓', 1]].forEach(([text, offset]) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'playback-button';
+    btn.textContent = text;
+    btn.disabled = !languages[index + offset];
+    btn.addEventListener('click', () => move(offset));
+    order.appendChild(btn);
+  });
+
+  const labelInput = document.createElement('input');
+  labelInput.type = 'text';
+  labelInput.className = 'voice-number-input language-label-input';
+  labelInput.value = lang.label;
+  labelInput.addEventListener('change', () => {
+    const label = labelInput.value.trim();
+    if (label) update({ label });
+    else labelInput.value = lang.label;
+  });
+
+  const used = usage.get(lang.value) || 0;
+  const codeInput = document.createElement('input');
+  codeInput.type = 'text';
+  codeInput.className = 'voice-number-input language-code-input';
+  codeInput.value = lang.value;
+  codeInput.disabled = used > 0;
+  if (used) codeInput.title = `${used}件のテキストで使用中のため変更できません`;
+  codeInput.addEventListener('change', () => {
+    const code = normalizeLanguageCode(codeInput.value);
+    if (!code || languages.some((item, i) => i !== index && item.value === code)) {
+      alert('BCP-47 形式の言語コード（例：fr-FR、yue-HK）で、まだ登録されていないものを入力してください。');
+      codeInput.value = lang.value;
+      return;
+    }
+    update({ value: code });
+  });
+
+  const checkbox = (text, checked, onChange) => {
+    const wrap = document.createElement('label');
+    wrap.className = 'voice-number';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onChange(input.checked));
+    wrap.append(input, text);
+    return wrap;
+  };
+
+  const hintInput = document.createElement('input');
+  hintInput.type = 'text';
+  hintInput.className = 'voice-number-input language-hint-input';
+  hintInput.placeholder = '音声名';
+  hintInput.title = '優先する音声の名前（一部でも可）';
+  hintInput.value = lang.voiceHint || '';
+  hintInput.addEventListener('change', () => update({ voiceHint: hintInput.value.trim() }));
+
+  const colorInput = document.createElement('input');
+  colorInput.type = 'color';
+  colorInput.className = 'language-color-input';
+  colorInput.value = lang.color || LANGUAGE_COLORS[0];
+  colorInput.title = 'ダッシュボードの色';
+  colorInput.addEventListener('change', () => update({ color: colorInput.value }));
+
+  row.append(
+    order,
+    labelInput,
+    codeInput,
+    checkbox('表示', !lang.hidden, (checked) => update({ hidden: !checked })),
+    checkbox('読み上げ', lang.speakable, (checked) => update({ speakable: checked })),
+    hintInput,
+    checkbox('集計', lang.dashboard, (checked) => update({ dashboard: checked })),
+    colorInput,
+  );
+  if (!used) {
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'playback-button';
+    removeBtn.textContent = '削除';
+    removeBtn.addEventListener('click', () => saveLanguages(languages.filter((_, i) => i !== index)));
+    row.appendChild(removeBtn);
+  }
+  return row;
+}
+
+function buildLanguageSettingsView() {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section export-panel language-settings';
+  const helper = document.createElement('p');
+  helper.className = 'helper';
+  helper.textContent = '投稿フォーム・カード・ダッシュボード・検索で使う言語です。並び順はフォームの選択肢の順になります。使用中の言語は非表示にできますが、コードの変更と削除はできません。';
+  container.appendChild(helper);
+
+  const languages = getLanguages({ includeHidden: true });
+  const usage = countLanguageUsage();
+  const list = document.createElement('div');
+  list.className = 'language-setting-list';
+  languages.forEach((lang, index) => list.appendChild(createLanguageSettingRow(lang, index, languages, usage)));
+
+  const addRow = document.createElement('div');
+  addRow.className = 'language-add-row';
+  const codeInput = document.createElement('input');
+  codeInput.type = 'text';
+  codeInput.className = 'voice-number-input language-code-input';
+  codeInput.placeholder = 'コード（例：fr-FR）';
+  const labelInput = document.createElement('input');
+  labelInput.type = 'text';
+  labelInput.className = 'voice-number-input language-label-input';
+  labelInput.placeholder = '表示名（例：フランス語）';
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'import-button';
+  addBtn.textContent = '言語を追加';
+  addBtn.addEventListener('click', () => {
+    const code = normalizeLanguageCode(codeInput.value);
+    if (!code || languages.some((lang) => lang.value === code)) {
+      alert('BCP-47 形式の言語コード（例：fr-FR、yue-HK）で、まだ登録されていないものを入力してください。');
+      return;
+    }
+    const entry = createLanguageEntry(code, languages);
+    saveLanguages([...languages, { ...entry, label: labelInput.value.trim() || code }]);
+  });
+  addRow.append(codeInput, labelInput, addBtn);
+
+  container.append(list, addRow);
+  return container;
+}
+
+function openLanguageSettings() {
+  openModal(buildLanguageSettingsView(), '言語設定');
+}
+
+// Blocks in display order: the post's texts, then each reply's texts.
+function collectSpeakableBlocks(card) {
+  return [...card.querySelectorAll('.text-block[data-lang]')]
+    .filter((el) => isSpeakable(el.dataset.lang))
+    .map((el) => ({
+      element: el,
+      key: el.dataset.blockKey,
+      text: el.dataset.text,
+      lang: el.dataset.lang,
+      speaker: el.dataset.speaker,
+    }))
+    .filter((entry) => entry.text.trim());
+}
+
+const defaultPlaybackOptions = () => ({ repeat: 1, pause: 0, slowdown: 0, loop: false });
+const SHADOWING_MIN_PAUSE_MS = 800;
+const MIN_SPEECH_RATE = 0.3;
+
+function startPlayback(queue, options = {}) {
+  stopPlayback();
+  if (!queue.length) return;
+  state.playback = {
+    queue,
+    index: 0,
+    round: 0,
+    paused: false,
+    token: 0,
+    timer: null,
+    pending: null,
+    options: { ...defaultPlaybackOptions(), ...options },
+  };
+  playCurrentBlock();
+}
+
+function playThread(card) {
+  startPlayback(collectSpeakableBlocks(card));
+}
+
+// Moves to the next repetition, the next block, or back to A when looping.
+function advancePlayback(playback) {
+  const { repeat, loop } = playback.options;
+  if (playback.round + 1 < repeat) {
+    playback.round += 1;
+  } else {
+    playback.round = 0;
+    playback.index += 1;
+    if (loop && playback.index >= playback.queue.length) playback.index = 0;
+  }
+  playCurrentBlock();
+}
+
+// render() replaces the cards, so the stored element may be detached by now;
+// the block is looked up again by its key, preferring the visible tab.
+function findPlaybackElement(entry) {
+  if (entry.element.isConnected || !entry.key) return entry.element;
+  const matches = [...document.querySelectorAll('.text-block[data-block-key]')].filter((el) => el.dataset.blockKey === entry.key);
+  const found = matches.find((el) => el.closest('.tab-panel.active')) || matches[0];
+  if (found) entry.element = found;
+  return entry.element;
+}
+
+function markSpeakingBlock() {
+  document.querySelectorAll('.text-block.speaking').forEach((el) => el.classList.remove('speaking'));
+  const entry = state.playback?.queue[state.playback.index];
+  if (entry) findPlaybackElement(entry).classList.add('speaking');
+}
+
+function playCurrentBlock() {
+  const playback = state.playback;
+  if (!playback) return;
+  const entry = playback.queue[playback.index];
+  if (!entry) {
+    stopPlayback();
+    return;
+  }
+  markSpeakingBlock();
+  const element = findPlaybackElement(entry);
+  element.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+  playback.paused = false;
+  // cancel() fires end/error on the old utterance; the token ignores those
+  playback.token += 1;
+  const token = playback.token;
+  // a paused synth stays paused through cancel() in Chrome
+  window.speechSynthesis.resume();
+  window.speechSynthesis.cancel();
+  const startedAt = Date.now();
+  playSpeech(entry.text, entry.lang, {
+    speaker: entry.speaker,
+    highlight: element.querySelector('.text-content'),
+    rateScale: Math.max(MIN_SPEECH_RATE, 1 - playback.options.slowdown * playback.round),
+    onEnd: () => {
+      if (state.playback !== playback || playback.token !== token) return;
+      // the gap for repeating aloud is proportional to how long the sentence took
+      const gap = playback.options.pause
+        ? Math.max(SHADOWING_MIN_PAUSE_MS, (Date.now() - startedAt) * playback.options.pause)
+        : 0;
+      if (!gap) {
+        advancePlayback(playback);
+        return;
+      }
+      playback.pending = () => advancePlayback(playback);
+      playback.timer = setTimeout(() => {
+        playback.timer = null;
+        const next = playback.pending;
+        playback.pending = null;
+        if (next) next();
+      }, gap);
+      renderPlaybackBar();
+    },
+  });
+  renderPlaybackBar();
+}
+
+function togglePausePlayback() {
+  const playback = state.playback;
+  if (!playback) return;
+  if (playback.paused) {
+    playback.paused = false;
+    if (playback.pending) {
+      const next = playback.pending;
+      playback.pending = null;
+      next();
+      return;
+    }
+    window.speechSynthesis.resume();
+  } else {
+    playback.paused = true;
+    if (playback.timer) {
+      clearTimeout(playback.timer);
+      playback.timer = null;
+    } else {
+      window.speechSynthesis.pause();
+    }
+  }
+  renderPlaybackBar();
+}
+
+function clearPlaybackTimer(playback) {
+  if (playback.timer) clearTimeout(playback.timer);
+  playback.timer = null;
+  playback.pending = null;
+}
+
+function skipPlayback() {
+  const playback = state.playback;
+  if (!playback) return;
+  clearPlaybackTimer(playback);
+  playback.round = playback.options.repeat - 1;
+  advancePlayback(playback);
+}
+
+function stopRecordingPlayback() {
+  const current = state.recordingPlayback;
+  state.recordingPlayback = null;
+  current?.audio?.pause();
+}
+
+function playRecording(recordingId, pending = {}) {
+  const url = getRecordingUrl(recordingId);
+  if (!url) return;
+  const audio = new Audio(url);
+  pending.audio = audio;
+  state.recordingPlayback = pending;
+  audio.addEventListener('ended', () => {
+    if (state.recordingPlayback === pending) state.recordingPlayback = null;
+  });
+  audio.play().catch((e) => console.error('Failed to play recording', e));
+}
+
+// A/B comparison: the synthesized voice first, then the user's own take.
+function compareWithRecording(t, speaker, highlight) {
+  stopPlayback();
+  const pending = {};
+  state.recordingPlayback = pending;
+  const utter = playSpeech(stripClozeMarks(t.content), t.language, {
+    speaker,
+    highlight,
+    onEnd: () => {
+      if (state.recordingPlayback === pending) playRecording(t.recordingId, pending);
+    },
+  });
+  if (!utter) playRecording(t.recordingId, pending);
+}
+
+function stopPlayback() {
+  stopRecordingPlayback();
+  if (!state.playback) return;
+  clearPlaybackTimer(state.playback);
+  state.playback = null;
+  window.speechSynthesis.resume();
+  window.speechSynthesis.cancel();
+  document.querySelectorAll('.text-block.speaking').forEach((el) => el.classList.remove('speaking'));
+  renderPlaybackBar();
+}
+
+function renderPlaybackBar() {
+  const bar = document.getElementById('playback-bar');
+  if (!bar) return;
+  const playback = state.playback;
+  bar.classList.toggle('hidden', !playback);
+  bar.innerHTML = '';
+  if (!playback) return;
+  const entry = playback.queue[playback.index];
+  const label = document.createElement('div');
+  label.className = 'playback-label';
+  const speaker = speakerOptions.find((opt) => opt.value === entry.speaker);
+  const { repeat, loop } = playback.options;
+  const status = [
+    `${playback.index + 1} / ${playback.queue.length}`,
+    `${speaker && speaker.value !== 'none' ? `${speaker.label}・` : ''}${getLanguageLabel(entry.lang)}`,
+  ];
+  if (repeat > 1) status.push(`${playback.round + 1}/${repeat}回目`);
+  if (loop) status.push('A-Bループ');
+  if (playback.pending) status.push('リピートの間');
+  label.textContent = status.join('　');
+
+  const button = (text, onClick) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'playback-button';
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  };
+  bar.append(
+    label,
+    button(playback.paused ? '再開' : '一時停止', togglePausePlayback),
+    button('スキップ', skipPlayback),
+    button('停止', stopPlayback),
+  );
+}
+
+function buildShadowingView(card, startElement) {
+  const blocks = collectSpeakableBlocks(card);
+  const container = document.createElement('div');
+  container.className = 'modal-body-section export-panel shadowing-panel';
+  const startIndex = Math.max(0, blocks.findIndex((entry) => entry.element === startElement));
+
+  const blockChoices = blocks.map((entry, i) => [String(i), `${i + 1}. ${entry.text.length > 24 ? `${entry.text.slice(0, 24)}…` : entry.text}`]);
+  const fromSelect = createSelect(blockChoices, String(startIndex));
+  const toSelect = createSelect(blockChoices, String(startIndex));
+  const presets = document.createElement('div');
+  presets.className = 'post-filter-range';
+  const preset = (text, from, to) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'storage-sort-button';
+    btn.textContent = text;
+    btn.addEventListener('click', () => {
+      fromSelect.value = String(from);
+      toSelect.value = String(to);
+    });
+    return btn;
+  };
+  presets.append(preset('このブロック', startIndex, startIndex), preset('スレッド全体', 0, blocks.length - 1));
+
+  const repeatSelect = createSelect([1, 2, 3, 5, 10].map((n) => [String(n), `${n}回`]), '3');
+  const pauseSelect = createSelect([
+    ['0', '間を空けない'],
+    ['1', '文と同じ長さの間'],
+    ['1.5', '文の1.5倍の間'],
+    ['2', '文の2倍の間'],
+  ], '1');
+  const slowdownSelect = createSelect([
+    ['0', '速さを変えない'],
+    ['0.05', '回ごとに5%ずつ遅く'],
+    ['0.1', '回ごとに10%ずつ遅く'],
+  ], '0');
+  const loopToggle = createCheckboxGroup([{ value: 'loop', label: 'A〜B をくり返す（停止するまで）' }], 'shadowing-options');
+
+  const addRow = (label, ...children) => {
+    const row = document.createElement('div');
+    row.className = 'post-filter-row';
+    const title = document.createElement('div');
+    title.className = 'post-filter-label';
+    title.textContent = label;
+    row.append(title, ...children);
+    container.appendChild(row);
+  };
+  addRow('範囲（A〜B）', fromSelect, toSelect, presets);
+  addRow('くり返し', repeatSelect, pauseSelect, slowdownSelect, loopToggle);
+
+  const actions = document.createElement('div');
+  actions.className = 'trash-actions';
+  const startBtn = document.createElement('button');
+  startBtn.type = 'button';
+  startBtn.className = 'primary-button trash-action-button';
+  startBtn.textContent = '開始';
+  startBtn.addEventListener('click', () => {
+    const from = Math.min(Number(fromSelect.value), Number(toSelect.value));
+    const to = Math.max(Number(fromSelect.value), Number(toSelect.value));
+    closeModal();
+    startPlayback(blocks.slice(from, to + 1), {
+      repeat: Number(repeatSelect.value),
+      pause: Number(pauseSelect.value),
+      slowdown: Number(slowdownSelect.value),
+      loop: loopToggle.querySelector('input').checked,
+    });
+  });
+  actions.appendChild(startBtn);
+  container.appendChild(actions);
+  return container;
+}
+
+function openShadowing(block) {
+  const card = block.closest('.card');
+  if (!card) return;
+  openModal(buildShadowingView(card, block), 'シャドーイング');
+}
+
+function collectTextEntries() {
+  const entries = [];
+  const pushEntries = (items) => {
+    items.forEach((item) => {
+      const createdAt = item.createdAt;
+      (item.texts || []).forEach((text) => {
+        const content = text.content?.trim() || '';
+        if (!content.length) return;
+        entries.push({
+          language: text.language,
+          createdAt,
+        });
+      });
+    });
+  };
+  pushEntries(state.data.posts);
+  pushEntries(state.data.replies);
+  return entries;
+}
+
+function getDateKey(ts) {
+  const d = new Date(ts);
+  const year = d.getFullYear();
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function getHeatmapColor(count) {
+  if (count === 0) return 'rgba(255, 255, 255, .5)';
+  if (count <= 2) return '#C5E0FF';
+  if (count <= 4) return '#7AB7FF';
+  return '#2F6FE4';
+}
+
+function render() {
+  renderStudyToolbars();
+  renderTimeline();
+  runSearch();
+  markSpeakingBlock();
+  if (state.currentTab === 'review') {
+    renderReviewTab();
+  }
+  if (state.currentTab === 'dashboard') {
+    renderDashboard();
+  }
+  if (state.currentTab === 'import') {
+    refreshStoragePanel();
+    renderSnapshotPanel();
+  }
+}
+
+function renderDashboard() {
+  const chartContainer = document.getElementById('dashboard-chart-container');
+  const countsContainer = document.getElementById('dashboard-text-counts');
+  const heatmapContainer = document.getElementById('dashboard-heatmap-container');
+  if (!chartContainer || !countsContainer || !heatmapContainer) return;
+
+  const entries = collectTextEntries();
+  const dashboardLanguages = getLanguages().filter((lang) => lang.dashboard);
+  const counts = Object.fromEntries(dashboardLanguages.map((lang) => [lang.value, 0]));
+  entries.forEach((entry) => {
+    if (Object.prototype.hasOwnProperty.call(counts, entry.language)) counts[entry.language] += 1;
+  });
+  const total = Object.values(counts).reduce((sum, val) => sum + val, 0);
+
+  chartContainer.innerHTML = '';
+  const canvas = document.createElement('canvas');
+  canvas.id = 'dashboard-chart-canvas';
+  chartContainer.appendChild(canvas);
+
+  const centerTotal = document.createElement('div');
+  centerTotal.className = 'dashboard-count-total dashboard-chart-total';
+  centerTotal.textContent = total;
+  chartContainer.appendChild(centerTotal);
+
+  const chartData = {
+    labels: dashboardLanguages.map((l) => l.label),
+    datasets: [
+      {
+        data: dashboardLanguages.map((l) => counts[l.value]),
+        backgroundColor: dashboardLanguages.map((l) => l.color),
+        borderWidth: 0,
+      },
+    ],
+  };
+
+  // 👇 Chart.js はまだ描画しない（ここが重要）
+  if (state.dashboardChart) {
+    state.dashboardChart.destroy();
+    state.dashboardChart = null;
+  }
+
+  // ✅ レイアウト確定後（1フレーム後）に描画
+  requestAnimationFrame(() => {
+    // ① Canvasサイズ確定
+    const w = 113;
+    const h = 113; // 好きな高さ
+    canvas.width = w;
+    canvas.height = h;
+
+    // ② Chart生成 (ここで初めてOK)
+    state.dashboardChart = new Chart(canvas.getContext('2d'), {
+      type: 'doughnut',
+      data: chartData,
+      options: {
+        responsive: false,   // ← Canvas拡大で0に戻されるのを防止
+        rotation: -90 * (Math.PI / 180),
+        cutout: '70%',
+        animation: {
+          animateRotate: true,
+          animateScale: false,
+          duration: 1200
+        },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.label}: ${context.raw} texts`,
+            },
+          },
+        },
+      },
+    });
+  });
+
+  // ===== ここより下はそのままでOK ↓ =====
+
+  state.hasPlayedDashboardAnimation = true;
+
+  countsContainer.innerHTML = '';
+  dashboardLanguages.forEach((lang) => {
+    const row = document.createElement('div');
+    row.className = 'dashboard-count-item';
+    const swatch = document.createElement('span');
+    swatch.className = 'dashboard-count-swatch';
+    swatch.style.backgroundColor = lang.color;
+    const label = document.createElement('span');
+    label.textContent = `${lang.label}: ${counts[lang.value]}`;
+    row.append(swatch, label);
+    countsContainer.appendChild(row);
+  });
+
+  const filteredEntries = entries.filter((entry) => Object.prototype.hasOwnProperty.call(counts, entry.language));
+  const dateCounts = new Map();
+  filteredEntries.forEach((entry) => {
+    const key = getDateKey(entry.createdAt);
+    dateCounts.set(key, (dateCounts.get(key) || 0) + 1);
+  });
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const days = [];
+  for (let i = 364; i >= 0; i -= 1) {
+    const date = new Date(today);
+    date.setDate(today.getDate() - i);
+    const key = getDateKey(date);
+    days.push({ date, key, count: dateCounts.get(key) || 0 });
+  }
+
+  const startOffset = days[0].date.getDay();
+  const columns = [];
+  let column = [];
+  for (let i = 0; i < startOffset; i += 1) {
+    column.push(null);
+  }
+  days.forEach((day) => {
+    column.push(day);
+    if (column.length === 7) {
+      columns.push(column);
+      column = [];
+    }
+  });
+  if (column.length) columns.push(column);
+
+  heatmapContainer.innerHTML = '';
+  const scrollArea = document.createElement('div');
+  scrollArea.className = 'heatmap-scroll-area';
+
+  const monthsRow = document.createElement('div');
+  monthsRow.className = 'heatmap-months';
+
+  const grid = document.createElement('div');
+  grid.className = 'heatmap-grid';
+  const monthLabels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  let lastMonth = null;
+  columns.forEach((col) => {
+    const firstDay = col.find((cell) => cell);
+    const currentMonth = firstDay ? firstDay.date.getMonth() : lastMonth;
+    const monthLabel = currentMonth !== null && currentMonth !== lastMonth ? monthLabels[currentMonth] : '';
+
+    const monthEl = document.createElement('div');
+    monthEl.className = 'heatmap-month';
+    monthEl.textContent = monthLabel;
+    monthsRow.appendChild(monthEl);
+
+    const colEl = document.createElement('div');
+    colEl.className = 'heatmap-column';
+    col.forEach((cell) => {
+      const cellEl = document.createElement('div');
+      cellEl.className = 'heatmap-cell';
+      if (cell) {
+        cellEl.style.backgroundColor = getHeatmapColor(cell.count);
+        cellEl.title = `${cell.key}: ${cell.count} texts`;
+      }
+      colEl.appendChild(cellEl);
+    });
+    grid.appendChild(colEl);
+
+    if (firstDay) {
+      lastMonth = firstDay.date.getMonth();
+    }
+  });
+
+  scrollArea.append(monthsRow, grid);
+
+  const legend = document.createElement('div');
+  legend.className = 'heatmap-legend';
+  const legendItems = [
+    { label: '0', count: 0 },
+    { label: '1-2', count: 1 },
+    { label: '3-4', count: 3 },
+    { label: '5+', count: 5 },
+  ];
+  legendItems.forEach(({ label, count }) => {
+    const item = document.createElement('span');
+    item.className = 'heatmap-legend-item';
+    const sample = document.createElement('div');
+    sample.className = 'heatmap-cell';
+    sample.style.backgroundColor = getHeatmapColor(count);
+    item.append(sample);
+    legend.appendChild(item);
+  });
+
+  heatmapContainer.append(scrollArea, legend);
+
+  // 最新が右端なので、右端から表示
+  requestAnimationFrame(() => {
+    scrollArea.scrollLeft = scrollArea.scrollWidth;
+  });
+}
+
+const REVIEW_GRADES = [
+  { value: 'again', label: 'もう一度', quality: 1 },
+  { value: 'hard', label: '難しい', quality: 3 },
+  { value: 'good', label: '普通', quality: 4 },
+  { value: 'easy', label: '簡単', quality: 5 },
+];
+const REVIEW_DEFAULT_EASE = 2.5;
+const REVIEW_MIN_EASE = 1.3;
+// A forgotten item comes back within the same session.
+const REVIEW_RELEARN_MS = 10 * 60 * 1000;
+const REVIEW_HISTORY_LIMIT = 50;
+
+function createReviewItem(sourceKind, sourceId, blockIndex) {
+  const now = Date.now();
+  return {
+    id: createId('review'),
+    sourceKind,
+    sourceId,
+    blockIndex,
+    createdAt: now,
+    updatedAt: now,
+    due: now,
+    interval: 0,
+    ease: REVIEW_DEFAULT_EASE,
+    repetitions: 0,
+    lapses: 0,
+    history: [],
+  };
+}
+
+// The post or reply a review item points at, or null once it is deleted or
+// the block no longer exists.
+function findReviewSource(item) {
+  const collection = item.sourceKind === 'reply' ? state.data.replies : state.data.posts;
+  const source = collection.find((entry) => entry.id === item.sourceId && !entry.isDeleted);
+  const block = source?.texts[item.blockIndex];
+  return block?.content.trim() ? { source, block } : null;
+}
+
+// SM-2: the ease factor follows the answer quality, the interval grows by it
+// after the first two successful reviews (1 day, then 6 days).
+function scheduleReview(item, grade, now = Date.now()) {
+  const { quality } = REVIEW_GRADES.find((g) => g.value === grade);
+  const ease = Math.max(REVIEW_MIN_EASE, item.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  if (quality < 3) {
+    return { ease, interval: 0, repetitions: 0, lapses: item.lapses + 1, due: now + REVIEW_RELEARN_MS };
+  }
+  const repetitions = item.repetitions + 1;
+  let interval;
+  if (repetitions === 1) interval = 1;
+  else if (repetitions === 2) interval = 6;
+  else interval = Math.round(item.interval * ease);
+  if (grade === 'hard') interval = Math.max(1, Math.round(interval * 0.8));
+  if (grade === 'easy') interval = Math.round(interval * 1.3) + (repetitions === 1 ? 1 : 0);
+  return { ease, interval, repetitions, lapses: item.lapses, due: now + interval * DAY_MS };
+}
+
+function formatReviewInterval(schedule) {
+  if (!schedule.interval) return `${Math.round(REVIEW_RELEARN_MS / 60000)}分`;
+  if (schedule.interval < 30) return `${schedule.interval}日`;
+  if (schedule.interval < 365) return `${Math.round(schedule.interval / 30)}か月`;
+  return `${(schedule.interval / 365).toFixed(1)}年`;
+}
+
+function answerReview(itemId, grade) {
+  const item = state.data.reviews.find((entry) => entry.id === itemId);
+  if (!item) return;
+  const now = Date.now();
+  Object.assign(item, scheduleReview(item, grade, now), {
+    updatedAt: now,
+    history: [...item.history, { reviewedAt: now, grade, interval: item.interval }].slice(-REVIEW_HISTORY_LIMIT),
+  });
+  state.reviewRevealedId = null;
+  persistData();
+  renderReview();
+}
+
+function getDueReviews(now = Date.now()) {
+  return state.data.reviews
+    .filter((item) => item.due <= now && findReviewSource(item))
+    .sort((a, b) => a.due - b.due);
+}
+
+const getReviewKey = (item) => `${item.sourceKind}:${item.sourceId}:${item.blockIndex}`;
+
+// Called before a post or reply gets new texts: review items follow their
+// sentence to its new index. A block edited in place keeps its item as long
+// as the blocks keep their shape; anything else loses its source instead of
+// silently pointing at another sentence.
+function remapReviewItems(source, nextTexts) {
+  const sourceKind = state.data.replies.includes(source) ? 'reply' : 'post';
+  const items = state.data.reviews.filter((item) => item.sourceKind === sourceKind
+    && item.sourceId === source.id && Number.isInteger(item.blockIndex));
+  if (!items.length) return;
+  const previous = source.texts || [];
+  const sameShape = previous.length === nextTexts.length
+    && previous.every((t, i) => t.language === nextTexts[i].language);
+  const sameBlock = (a, b) => a.language === b.language && a.content === b.content;
+  const claimed = new Set();
+  const resolved = items.map((item) => {
+    const anchor = previous[item.blockIndex];
+    if (!anchor) return item.blockIndex;
+    if (nextTexts[item.blockIndex] && sameBlock(anchor, nextTexts[item.blockIndex])) return item.blockIndex;
+    const moved = nextTexts.findIndex((t, i) => !claimed.has(i) && sameBlock(anchor, t)
+      && !(previous[i] && sameBlock(previous[i], t)));
+    if (moved === -1) return undefined;
+    claimed.add(moved);
+    return moved;
+  });
+  resolved.forEach((index, i) => {
+    if (index !== undefined) return;
+    const kept = items[i].blockIndex;
+    resolved[i] = sameShape && !claimed.has(kept) ? kept : null;
+  });
+  const now = Date.now();
+  items.forEach((item, i) => {
+    if (resolved[i] === item.blockIndex) return;
+    item.blockIndex = resolved[i];
+    item.updatedAt = now;
+  });
+}
+
+function addReviewItems(blocks) {
+  const existing = new Set(state.data.reviews.map(getReviewKey));
+  const added = blocks
+    .map(({ sourceKind, sourceId, blockIndex }) => createReviewItem(sourceKind, sourceId, blockIndex))
+    .filter((item) => !existing.has(getReviewKey(item)) && existing.add(getReviewKey(item)));
+  state.data.reviews.push(...added);
+  return added.length;
+}
+
+function removeReviewItem(itemId) {
+  const item = state.data.reviews.find((entry) => entry.id === itemId);
+  if (!item) return;
+  state.data.reviews = state.data.reviews.filter((entry) => entry.id !== itemId);
+  addTombstone('review', item.id, item.createdAt);
+}
+
+// Blocks of a post and its replies, in thread order, for the review picker.
+function collectThreadBlocks(post) {
+  const replies = state.data.replies
+    .filter((r) => r.postId === post.id && !r.isDeleted)
+    .sort((a, b) => a.createdAt - b.createdAt);
+  return [['post', post], ...replies.map((reply) => ['reply', reply])].flatMap(([sourceKind, item]) =>
+    item.texts
+      .map((text, blockIndex) => ({ sourceKind, sourceId: item.id, blockIndex, text }))
+      .filter(({ text }) => text.content.trim()));
+}
+
+function buildReviewPicker(post) {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section export-panel';
+  const helper = document.createElement('p');
+  helper.className = 'helper';
+  helper.textContent = '問題として表示するブロックを選んでください。答えには同じポスト（リプライ）のほかのブロックと発音が表示されます。';
+  container.appendChild(helper);
+
+  const registered = new Map(state.data.reviews.map((item) => [getReviewKey(item), item]));
+  const list = document.createElement('div');
+  list.className = 'filter-checkboxes review-picker';
+  const entries = collectThreadBlocks(post).map((entry) => {
+    const option = document.createElement('label');
+    option.className = 'filter-checkbox';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = registered.has(getReviewKey(entry));
+    const prefix = entry.sourceKind === 'reply' ? '↳ ' : '';
+    option.append(input, `${prefix}${getLanguageLabel(entry.text.language)}：${stripClozeMarks(entry.text.content)}`);
+    list.appendChild(option);
+    return { ...entry, input };
+  });
+  container.appendChild(list);
+
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions';
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.className = 'modal-primary-button primary-button';
+  saveBtn.textContent = '保存';
+  saveBtn.addEventListener('click', () => {
+    addReviewItems(entries.filter((entry) => entry.input.checked));
+    entries
+      .filter((entry) => !entry.input.checked && registered.has(getReviewKey(entry)))
+      .forEach((entry) => removeReviewItem(registered.get(getReviewKey(entry)).id));
+    persistData();
+    closeModal();
+    render();
+  });
+  actions.appendChild(saveBtn);
+  container.appendChild(actions);
+  return container;
+}
+
+function openReviewPicker(post) {
+  openModal(buildReviewPicker(post), '復習に追加');
+}
+
+function buildReviewSession(item, remaining) {
+  const { source, block } = findReviewSource(item);
+  const card = document.createElement('div');
+  card.className = 'card review-card';
+  const meta = document.createElement('div');
+  meta.className = 'card-meta';
+  meta.textContent = `残り ${remaining}件 / ${item.repetitions ? `前回の間隔 ${formatReviewInterval(item)}` : '新規'}`;
+  card.appendChild(meta);
+
+  const revealed = state.reviewRevealedId === item.id;
+  const body = document.createElement('div');
+  body.className = 'card-body';
+  if (revealed) {
+    body.appendChild(createTextBlockView(block));
+  } else {
+    const prompt = document.createElement('div');
+    prompt.className = 'text-block';
+    const label = document.createElement('div');
+    label.className = 'text-label';
+    label.textContent = getLanguageLabel(block.language);
+    const content = document.createElement('div');
+    content.className = 'text-content';
+    content.textContent = stripClozeMarks(block.content);
+    prompt.append(label, content);
+    body.appendChild(prompt);
+  }
+  card.appendChild(body);
+
+  const actions = document.createElement('div');
+  actions.className = 'review-actions';
+  if (!revealed) {
+    const revealBtn = document.createElement('button');
+    revealBtn.type = 'button';
+    revealBtn.className = 'primary-button';
+    revealBtn.textContent = '答えを見る';
+    revealBtn.addEventListener('click', () => {
+      state.reviewRevealedId = item.id;
+      renderReview();
+    });
+    actions.appendChild(revealBtn);
+  } else {
+    const answer = document.createElement('div');
+    answer.className = 'card-body review-answer';
+    source.texts
+      .filter((t, index) => index !== item.blockIndex && t.content.trim())
+      .forEach((t) => answer.appendChild(createTextBlockView(t)));
+    if (answer.childElementCount) card.appendChild(answer);
+    REVIEW_GRADES.forEach((grade) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = `review-grade-button review-grade-${grade.value}`;
+      const name = document.createElement('span');
+      name.textContent = grade.label;
+      const next = document.createElement('span');
+      next.className = 'review-grade-interval';
+      next.textContent = formatReviewInterval(scheduleReview(item, grade.value));
+      btn.append(name, next);
+      btn.addEventListener('click', () => answerReview(item.id, grade.value));
+      actions.appendChild(btn);
+    });
+  }
+  card.appendChild(actions);
+  return card;
+}
+
+function buildReviewTagForm() {
+  const form = document.createElement('div');
+  form.className = 'review-tag-form';
+  const tags = collectTags();
+  const tagSelect = createSelect([['', 'タグを選択'], ...tags.map((tag) => [tag, `#${tag}`])], '');
+  const languageSelect = createSelect(getLanguages().map((lang) => [lang.value, `${lang.label}を問題に`]), getLanguages().find((lang) => lang.speakable)?.value || 'ja');
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'import-button';
+  addBtn.textContent = 'タグから追加';
+  addBtn.addEventListener('click', () => {
+    if (!tagSelect.value) return;
+    const blocks = state.data.posts
+      .filter((post) => !post.isDeleted && post.tags.includes(tagSelect.value))
+      .flatMap((post) => collectThreadBlocks(post))
+      .filter((entry) => entry.text.language === languageSelect.value);
+    const added = addReviewItems(blocks);
+    alert(added ? `${added}件の復習カードを追加しました。` : '追加できるブロックはありませんでした（登録済み、または選んだ言語のブロックがありません）。');
+    if (added) persistData();
+    renderReview();
+  });
+  form.append(tagSelect, languageSelect, addBtn);
+  return form;
+}
+
+function buildReviewList() {
+  const details = document.createElement('details');
+  details.className = 'review-list';
+  const summary = document.createElement('summary');
+  summary.className = 'post-filter-label';
+  summary.textContent = `登録済みの復習カード（${state.data.reviews.length}件）`;
+  details.appendChild(summary);
+  [...state.data.reviews].sort((a, b) => a.due - b.due).forEach((item) => {
+    const row = document.createElement('div');
+    row.className = 'snapshot-item';
+    const info = document.createElement('div');
+    info.className = 'storage-info';
+    const text = document.createElement('div');
+    text.className = 'storage-size';
+    const found = findReviewSource(item);
+    text.textContent = found ? stripClozeMarks(found.block.content) : '（元のテキストがありません）';
+    const detail = document.createElement('div');
+    detail.className = 'storage-ref';
+    detail.textContent = [
+      `次回 ${formatDate(item.due)}`,
+      item.repetitions ? `間隔 ${formatReviewInterval(item)}` : '新規',
+      `易しさ ${item.ease.toFixed(2)}`,
+      `回答 ${item.history.length}回`,
+    ].join(' / ');
+    info.append(text, detail);
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'playback-button';
+    removeBtn.textContent = '削除';
+    removeBtn.addEventListener('click', () => {
+      removeReviewItem(item.id);
+      persistData();
+      renderReview();
+    });
+    row.append(info, removeBtn);
+    details.appendChild(row);
+  });
+  return details;
+}
+
+function renderReview() {
+  const panel = document.getElementById('review-panel');
+  if (!panel) return;
+  const openList = panel.querySelector('.review-list')?.open;
+  panel.innerHTML = '';
+  const due = getDueReviews();
+  const todayStart = new Date().setHours(0, 0, 0, 0);
+  const answeredToday = state.data.reviews
+    .reduce((sum, item) => sum + item.history.filter((h) => h.reviewedAt >= todayStart).length, 0);
+  const summary = document.createElement('p');
+  summary.className = 'helper';
+  summary.textContent = `復習待ち ${due.length}件 / 登録 ${state.data.reviews.length}件 / 今日の回答 ${answeredToday}回`;
+  panel.appendChild(summary);
+
+  if (due.length) {
+    panel.appendChild(buildReviewSession(due[0], due.length));
+  } else {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    const upcoming = state.data.reviews
+      .filter((item) => findReviewSource(item))
+      .reduce((min, item) => Math.min(min, item.due), Infinity);
+    empty.textContent = Number.isFinite(upcoming)
+      ? `今の復習は終わりました。次は ${formatDate(upcoming)} からです。`
+      : 'カードの「復習」ボタン、または下のタグから復習カードを追加してください。';
+    panel.appendChild(empty);
+  }
+
+  panel.appendChild(buildReviewTagForm());
+  const list = buildReviewList();
+  list.open = Boolean(openList);
+  panel.appendChild(list);
+}
+
+const VOCABULARY_PARTS_OF_SPEECH = ['名詞', '動詞', '形容詞', '副詞', '表現', '助詞', 'その他'];
+const VOCABULARY_TERM_MAX_LENGTH = 60;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeVocabularyTerm = (term) => term.normalize('NFKC').trim().toLowerCase();
+
+// Words in CJK scripts are not separated by spaces, so they match anywhere;
+// other terms only match as whole words.
+function createTermPattern(term) {
+  const source = term.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  if (CJK_CHARACTER.test(term)) return new RegExp(source, 'iu');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// Backlinks are not stored: every post and reply in the entry's language is
+// scanned again, so edited texts are always reflected.
+function findVocabularyBacklinks(entry) {
+  const pattern = createTermPattern(entry.term);
+  const posts = new Map(state.data.posts.map((post) => [post.id, post]));
+  return [...state.data.posts.map((item) => ['post', item]), ...state.data.replies.map((item) => ['reply', item])]
+    .filter(([, item]) => !item.isDeleted)
+    .flatMap(([kind, item]) => {
+      const post = kind === 'reply' ? posts.get(item.postId) : item;
+      if (!post || post.isDeleted) return [];
+      const text = item.texts
+        .filter((t) => t.language === entry.language)
+        .map((t) => stripClozeMarks(t.content))
+        .find((content) => pattern.test(content));
+      if (!text) return [];
+      const match = text.match(pattern);
+      return [{ kind, item, post, text, start: match.index, end: match.index + match[0].length }];
+    })
+    .sort((a, b) => b.item.createdAt - a.item.createdAt);
+}
+
+const VOCABULARY_TEXT_FIELDS = ['term', 'language', 'reading', 'meaning', 'partOfSpeech', 'notes'];
+
+// Imported entries may come from hand-edited files; entries without a term are dropped.
+function normalizeVocabulary(entries) {
+  return (Array.isArray(entries) ? entries : [])
+    .filter((entry) => entry && typeof entry === 'object' && entry.id != null)
+    .map((entry) => ({
+      ...entry,
+      ...Object.fromEntries(VOCABULARY_TEXT_FIELDS.map((field) => [field, String(entry[field] ?? '').trim()])),
+    }))
+    .filter((entry) => entry.term);
+}
+
+// The same term saved on two devices merges into the most recently updated
+// entry; the other one gets a tombstone so that it does not come back.
+function dedupeVocabulary(entries) {
+  const kept = new Map();
+  const dropped = [];
+  entries.forEach((entry) => {
+    const key = `${entry.language}\n${normalizeVocabularyTerm(entry.term)}`;
+    const current = kept.get(key);
+    if (!current) {
+      kept.set(key, entry);
+      return;
+    }
+    const newer = getUpdatedTimestamp(entry) - getUpdatedTimestamp(current) || String(current.id).localeCompare(String(entry.id));
+    const [winner, loser] = newer > 0 ? [entry, current] : [current, entry];
+    kept.set(key, winner);
+    dropped.push({ id: `vocabulary:${loser.id}`, kind: 'vocabulary', recordId: loser.id, createdAt: loser.createdAt, deletedAt: Date.now() });
+  });
+  return { entries: Array.from(kept.values()), dropped };
+}
+
+const findVocabularyEntry = (term, language) => state.data.vocabulary
+  .find((entry) => entry.language === language && normalizeVocabularyTerm(entry.term) === normalizeVocabularyTerm(term));
+
+function saveVocabularyEntry(entry, fields) {
+  const now = Date.now();
+  if (entry.id) {
+    Object.assign(entry, fields, { updatedAt: now });
+  } else {
+    state.data.vocabulary.push({ id: createId('vocab'), ...fields, createdAt: now, updatedAt: now });
+  }
+  persistData();
+}
+
+function removeVocabularyEntry(entryId) {
+  const entry = state.data.vocabulary.find((item) => item.id === entryId);
+  if (!entry) return;
+  state.data.vocabulary = state.data.vocabulary.filter((item) => item.id !== entryId);
+  addTombstone('vocabulary', entry.id, entry.createdAt);
+  persistData();
+}
+
+function createVocabularyField(label, control) {
+  const field = document.createElement('label');
+  field.className = 'vocabulary-field';
+  const name = document.createElement('span');
+  name.className = 'post-filter-label';
+  name.textContent = label;
+  field.append(name, control);
+  return field;
+}
+
+// entry is either a saved entry or a draft { term, language } from a selection.
+function buildVocabularyForm(entry) {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section vocabulary-form';
+  const input = (value, placeholder = '') => {
+    const el = document.createElement('input');
+    el.type = 'text';
+    el.className = 'pronunciation-input';
+    el.value = value || '';
+    el.placeholder = placeholder;
+    return el;
+  };
+
+  const termInput = input(entry.term);
+  termInput.maxLength = VOCABULARY_TERM_MAX_LENGTH;
+  const languageSelect = createSelect(
+    getLanguages({ includeHidden: true })
+      .filter((lang) => !lang.hidden || lang.value === entry.language)
+      .map((lang) => [lang.value, lang.label]),
+    entry.language || getLanguages()[0]?.value,
+  );
+  const readingInput = input(entry.reading, '発音・ふりがな');
+  const meaningInput = input(entry.meaning, '意味');
+  const partInput = input(entry.partOfSpeech, '名詞・動詞など');
+  const partList = document.createElement('datalist');
+  partList.id = 'vocabulary-part-of-speech';
+  VOCABULARY_PARTS_OF_SPEECH.forEach((part) => {
+    const option = document.createElement('option');
+    option.value = part;
+    partList.appendChild(option);
+  });
+  partInput.setAttribute('list', partList.id);
+  const notesInput = document.createElement('textarea');
+  notesInput.className = 'text-area';
+  notesInput.rows = 3;
+  notesInput.placeholder = '例文・使い方のメモなど';
+  notesInput.value = entry.notes || '';
+
+  container.append(
+    createVocabularyField('単語・フレーズ', termInput),
+    createVocabularyField('言語', languageSelect),
+    createVocabularyField('読み', readingInput),
+    createVocabularyField('意味', meaningInput),
+    createVocabularyField('品詞', partInput),
+    partList,
+    createVocabularyField('メモ', notesInput),
+  );
+
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions';
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.className = 'modal-primary-button primary-button';
+  saveBtn.textContent = '保存';
+  saveBtn.addEventListener('click', () => {
+    const term = termInput.value.trim();
+    if (!term) {
+      alert('単語・フレーズを入力してください。');
+      return;
+    }
+    const duplicate = findVocabularyEntry(term, languageSelect.value);
+    if (duplicate && duplicate.id !== entry.id) {
+      alert(`「${duplicate.term}」はすでに単語帳に登録されています。`);
+      return;
+    }
+    saveVocabularyEntry(entry, {
+      term,
+      language: languageSelect.value,
+      reading: readingInput.value.trim(),
+      meaning: meaningInput.value.trim(),
+      partOfSpeech: partInput.value.trim(),
+      notes: notesInput.value.trim(),
+    });
+    closeModal();
+    if (state.currentTab === 'review') renderReviewTab();
+  });
+  actions.appendChild(saveBtn);
+  container.appendChild(actions);
+  return container;
+}
+
+function openVocabularyForm(entry) {
+  openModal(buildVocabularyForm(entry), entry.id ? '単語を編集' : '単語帳に追加');
+}
+
+// A selection inside a single rendered text block, or null.
+function getVocabularySelection() {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || !selection.rangeCount) return null;
+  const term = selection.toString().replace(/\s+/g, ' ').trim();
+  if (!term || term.length > VOCABULARY_TERM_MAX_LENGTH) return null;
+  const contentOf = (node) => (node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement)?.closest('.text-content');
+  const content = contentOf(selection.anchorNode);
+  if (!content || content !== contentOf(selection.focusNode)) return null;
+  const block = content.closest('.text-block[data-lang]');
+  if (!block) return null;
+  return { term, language: block.dataset.lang, rect: selection.getRangeAt(0).getBoundingClientRect() };
+}
+
+function getVocabularySelectionButton() {
+  let button = document.getElementById('vocabulary-selection-button');
+  if (button) return button;
+  button = document.createElement('button');
+  button.type = 'button';
+  button.id = 'vocabulary-selection-button';
+  button.className = 'vocabulary-selection-button';
+  button.textContent = '単語帳に追加';
+  button.style.display = 'none';
+  // keep the selection alive while the button is pressed
+  button.addEventListener('pointerdown', (e) => e.preventDefault());
+  button.addEventListener('click', () => {
+    const selected = state.vocabularySelection;
+    button.style.display = 'none';
+    if (!selected) return;
+    window.getSelection()?.removeAllRanges();
+    openVocabularyForm(findVocabularyEntry(selected.term, selected.language) || selected);
+  });
+  document.body.appendChild(button);
+  return button;
+}
+
+function updateVocabularySelection() {
+  const selected = getVocabularySelection();
+  state.vocabularySelection = selected && { term: selected.term, language: selected.language };
+  const button = getVocabularySelectionButton();
+  if (!selected) {
+    button.style.display = 'none';
+    return;
+  }
+  button.textContent = findVocabularyEntry(selected.term, selected.language) ? '単語帳を開く' : '単語帳に追加';
+  button.style.display = '';
+  const left = Math.min(selected.rect.left, document.documentElement.clientWidth - button.offsetWidth - 10);
+  button.style.left = `${Math.max(10, left)}px`;
+  button.style.top = `${selected.rect.bottom + 6}px`;
+}
+
+function searchVocabulary({ query = '', language = '' } = {}) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return state.data.vocabulary
+    .filter((entry) => !language || entry.language === language)
+    .filter((entry) => {
+      const haystack = [entry.term, entry.reading, entry.meaning, entry.partOfSpeech, entry.notes].join('\n').toLowerCase();
+      return terms.every((term) => haystack.includes(term));
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function createBacklinkSnippet({ text, start, end }) {
+  const snippet = document.createElement('span');
+  snippet.className = 'vocabulary-backlink-text';
+  const mark = document.createElement('mark');
+  mark.textContent = text.slice(start, end);
+  snippet.append(text.slice(0, start), mark, text.slice(end));
+  return snippet;
+}
+
+function buildVocabularyBacklinks(entry) {
+  const backlinks = findVocabularyBacklinks(entry);
+  const details = document.createElement('details');
+  details.className = 'vocabulary-backlinks';
+  const summary = document.createElement('summary');
+  summary.textContent = backlinks.length ? `出てくる投稿（${backlinks.length}件）` : '出てくる投稿はまだありません';
+  details.appendChild(summary);
+  backlinks.forEach((link) => {
+    const row = document.createElement('button');
+    row.type = 'button';
+    row.className = 'vocabulary-backlink';
+    const label = document.createElement('span');
+    label.className = 'storage-ref';
+    label.textContent = `${link.kind === 'reply' ? 'リプライ' : 'ポスト'} / ${formatDate(link.item.createdAt)}`;
+    row.append(label, createBacklinkSnippet(link));
+    row.addEventListener('click', () => openModal(renderPostCard(link.post), 'ポスト'));
+    details.appendChild(row);
+  });
+  return details;
+}
+
+function buildVocabularyItem(entry) {
+  const item = document.createElement('div');
+  item.className = 'card vocabulary-item';
+  const head = document.createElement('div');
+  head.className = 'vocabulary-head';
+  const term = document.createElement('span');
+  term.className = 'vocabulary-term';
+  term.textContent = entry.term;
+  head.appendChild(term);
+  if (entry.reading) {
+    const reading = document.createElement('span');
+    reading.className = 'vocabulary-reading';
+    reading.textContent = entry.reading;
+    head.appendChild(reading);
+  }
+  const info = document.createElement('span');
+  info.className = 'storage-ref';
+  info.textContent = [getLanguageLabel(entry.language), entry.partOfSpeech].filter(Boolean).join(' / ');
+  head.appendChild(info);
+
+  const actions = document.createElement('div');
+  actions.className = 'vocabulary-actions';
+  if (isSpeakable(entry.language)) {
+    const play = document.createElement('button');
+    play.type = 'button';
+    play.className = 'text-action-button';
+    play.innerHTML = '<img src="img/vol.svg" alt="読み上げ" width="16" class="icon-inline">';
+    play.addEventListener('click', () => {
+      stopPlayback();
+      playSpeech(entry.term, entry.language, { highlight: term });
+    });
+    actions.appendChild(play);
+  }
+  const editBtn = document.createElement('button');
+  editBtn.type = 'button';
+  editBtn.className = 'playback-button';
+  editBtn.textContent = '編集';
+  editBtn.addEventListener('click', () => openVocabularyForm(entry));
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'playback-button';
+  removeBtn.textContent = '削除';
+  removeBtn.addEventListener('click', () => {
+    if (!window.confirm(`「${entry.term}」を単語帳から削除しますか？`)) return;
+    removeVocabularyEntry(entry.id);
+    renderVocabulary();
+  });
+  actions.append(editBtn, removeBtn);
+  head.appendChild(actions);
+  item.appendChild(head);
+
+  [[entry.meaning, 'vocabulary-meaning'], [entry.notes, 'vocabulary-notes']].forEach(([value, className]) => {
+    if (!value) return;
+    const el = document.createElement('div');
+    el.className = className;
+    el.textContent = value;
+    item.appendChild(el);
+  });
+  item.appendChild(buildVocabularyBacklinks(entry));
+  return item;
+}
+
+function renderVocabularyList(list) {
+  list.innerHTML = '';
+  const entries = searchVocabulary(state.vocabularyFilter);
+  if (!entries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = state.data.vocabulary.length
+      ? '条件に合う単語はありません。'
+      : 'カードのテキストを選択して「単語帳に追加」を押すと、ここに単語が集まります。';
+    list.appendChild(empty);
+    return;
+  }
+  entries.forEach((entry) => list.appendChild(buildVocabularyItem(entry)));
+}
+
+function renderVocabulary() {
+  const panel = document.getElementById('vocabulary-panel');
+  if (!panel) return;
+  panel.innerHTML = '';
+  const filter = state.vocabularyFilter;
+  const toolbar = document.createElement('div');
+  toolbar.className = 'vocabulary-toolbar';
+  const searchInput = document.createElement('input');
+  searchInput.type = 'text';
+  searchInput.className = 'search-input';
+  searchInput.placeholder = '単語・意味・読み・メモで検索';
+  searchInput.value = filter.query;
+  const used = new Set(state.data.vocabulary.map((entry) => entry.language));
+  if (!used.has(filter.language)) filter.language = '';
+  const languageSelect = createSelect(
+    [['', 'すべての言語'], ...getLanguages({ includeHidden: true })
+      .filter((lang) => used.has(lang.value))
+      .map((lang) => [lang.value, lang.label])],
+    filter.language,
+  );
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'import-button';
+  addBtn.textContent = '単語を追加';
+  addBtn.addEventListener('click', () => openVocabularyForm({ term: '', language: filter.language }));
+  toolbar.append(searchInput, languageSelect, addBtn);
+
+  const list = document.createElement('div');
+  list.className = 'vocabulary-list';
+  searchInput.addEventListener('input', () => {
+    filter.query = searchInput.value.trim();
+    renderVocabularyList(list);
+  });
+  languageSelect.addEventListener('change', () => {
+    filter.language = languageSelect.value;
+    renderVocabularyList(list);
+  });
+  panel.append(toolbar, list);
+  renderVocabularyList(list);
+}
+
+// The review tab holds both the review session and the vocabulary notebook.
+function renderReviewTab() {
+  document.querySelectorAll('.review-view-button').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.view === state.reviewView);
+  });
+  document.getElementById('review-panel').style.display = state.reviewView === 'review' ? '' : 'none';
+  document.getElementById('vocabulary-panel').style.display = state.reviewView === 'vocabulary' ? '' : 'none';
+  if (state.reviewView === 'vocabulary') renderVocabulary();
+  else renderReview();
+}
+
+function snapshotTexts(texts = []) {
+  return texts.map((t) => ({ ...t }));
+}
+
+function recordRevision(item, nextTexts, nextTags) {
+  const unchanged = JSON.stringify(item.texts) === JSON.stringify(nextTexts) &&
+    JSON.stringify(item.tags || []) === JSON.stringify(nextTags || []);
+  if (unchanged) return;
+  item.revisions = [
+    ...(item.revisions || []),
+    { texts: snapshotTexts(item.texts), tags: [...(item.tags || [])], savedAt: item.updatedAt || item.createdAt },
+  ].slice(-REVISION_LIMIT);
+}
+
+function revertToRevision(item, index) {
+  const revision = item.revisions?.[index];
+  if (!revision) return;
+  recordRevision(item, revision.texts, revision.tags);
+  remapReviewItems(item, revision.texts);
+  item.texts = snapshotTexts(revision.texts);
+  item.tags = [...revision.tags];
+  item.updatedAt = Date.now();
+  persistData();
+  render();
+}
+
+function tokenizeForDiff(text = '') {
+  // CJK ideographs and kana are compared per character, everything else per word
+  return text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+|\s+/gu) || [];
+}
+
+function diffTokens(before, after) {
+  const a = tokenizeForDiff(before);
+  const b = tokenizeForDiff(after);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i]);
+      i += 1;
+    } else {
+      push('added', b[j]);
+      j += 1;
+    }
+  }
+  a.slice(i).forEach((token) => push('removed', token));
+  b.slice(j).forEach((token) => push('added', token));
+  return parts;
+}
+
+function renderDiff(before, after) {
+  const el = document.createElement('div');
+  el.className = 'text-content diff-content';
+  diffTokens(before, after).forEach(({ type, text }) => {
+    const tag = type === 'added' ? 'ins' : type === 'removed' ? 'del' : 'span';
+    const part = document.createElement(tag);
+    if (type !== 'same') part.className = `diff-${type}`;
+    part.textContent = text;
+    el.appendChild(part);
+  });
+  return el;
+}
+
+function renderRevisionDiff(previous, current) {
+  const wrap = document.createElement('div');
+  wrap.className = 'revision-blocks';
+  const count = Math.max(previous?.texts.length || 0, current.texts.length);
+  for (let i = 0; i < count; i += 1) {
+    const before = previous?.texts[i];
+    const after = current.texts[i];
+    const block = document.createElement('div');
+    block.className = 'text-block revision-block';
+
+    const label = document.createElement('div');
+    label.className = 'text-label';
+    const beforeLang = before ? getLanguageLabel(before.language) : null;
+    const afterLang = after ? getLanguageLabel(after.language) : null;
+    if (!after) label.textContent = `${beforeLang}（削除）`;
+    else if (previous && !before) label.textContent = `${afterLang}（追加）`;
+    else label.textContent = beforeLang && beforeLang !== afterLang ? `${beforeLang} → ${afterLang}` : afterLang;
+    block.appendChild(label);
+
+    block.appendChild(renderDiff(previous ? before?.content || '' : after.content, after?.content || ''));
+    const beforePron = before?.pronunciation || '';
+    const afterPron = after?.pronunciation || '';
+    if (beforePron || afterPron) {
+      const pron = renderDiff(previous ? beforePron : afterPron, afterPron);
+      pron.classList.add('pronunciation');
+      block.appendChild(pron);
+    }
+    wrap.appendChild(block);
+  }
+  return wrap;
+}
+
+function buildHistoryView(item) {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section history-panel';
+  const versions = [
+    ...(item.revisions || []),
+    { texts: item.texts, tags: item.tags || [], savedAt: item.updatedAt || item.createdAt },
+  ];
+
+  for (let index = versions.length - 1; index >= 0; index -= 1) {
+    const version = versions[index];
+    const isCurrent = index === versions.length - 1;
+    const section = document.createElement('div');
+    section.className = 'history-item';
+
+    const meta = document.createElement('div');
+    meta.className = 'card-meta history-meta';
+    const title = document.createElement('span');
+    title.className = 'card-meta-item';
+    title.textContent = `${isCurrent ? '現在の版' : `版 ${index + 1}`} / ${formatDate(version.savedAt)}`;
+    meta.appendChild(title);
+    if (!isCurrent) {
+      const revertBtn = document.createElement('button');
+      revertBtn.type = 'button';
+      revertBtn.className = 'primary-button history-revert-button';
+      revertBtn.textContent = 'この版に戻す';
+      revertBtn.addEventListener('click', () => {
+        if (!window.confirm('この版の内容に戻しますか？（現在の内容は履歴に残ります）')) return;
+        revertToRevision(item, index);
+        const body = document.getElementById('modal-body');
+        body.innerHTML = '';
+        body.appendChild(buildHistoryView(item));
+      });
+      meta.appendChild(revertBtn);
+    }
+    section.appendChild(meta);
+    section.appendChild(renderRevisionDiff(versions[index - 1] || null, version));
+
+    if (version.tags.length) {
+      const tags = document.createElement('div');
+      tags.className = 'tag-list';
+      version.tags.forEach((tag) => {
+        const chip = document.createElement('span');
+        chip.className = 'tag';
+        chip.textContent = `#${tag}`;
+        tags.appendChild(chip);
+      });
+      section.appendChild(tags);
+    }
+    container.appendChild(section);
+  }
+  return container;
+}
+
+function createEditedLabel(item, kind) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'card-meta-item edited-label';
+  button.textContent = '（Edited）';
+  button.title = '編集履歴を表示';
+  button.addEventListener('click', () => openModal(buildHistoryView(item), kind === 'post' ? 'ポストの編集履歴' : 'リプライの編集履歴'));
+  return button;
+}
+
+function renderCardList(container, items, { emptyMessage, highlightImage = false, study = false } = {}) {
+  if (container._infiniteObserver) {
+    container._infiniteObserver.disconnect();
+  }
+  container.innerHTML = '';
+  if (!items.length) {
+    container.innerHTML = `<div class="empty-state">${emptyMessage}</div>`;
+    return;
+  }
+
+  const initialCount = 50;
+  const batchSize = 20;
+  let index = 0;
+  let observer = null;
+
+  const addSentinel = () => {
+    const sentinel = document.createElement('div');
+    sentinel.className = 'load-sentinel';
+    container.appendChild(sentinel);
+    if (observer) observer.observe(sentinel);
+  };
+
+  const renderBatch = (count) => {
+    const slice = items.slice(index, index + count);
+    slice.forEach((post) => container.appendChild(renderPostCard(post, { highlightImage, study })));
+    index += count;
+    if (index < items.length) addSentinel();
+  };
+
+  observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) {
+        observer.unobserve(entry.target);
+        entry.target.remove();
+        renderBatch(batchSize);
+      }
+    });
+  }, { root: null, rootMargin: '200px' });
+
+  renderBatch(initialCount);
+  container._infiniteObserver = observer;
+}
+
+function renderTimeline() {
+  const container = document.getElementById('timeline-list');
+  const sorted = [...state.data.posts].sort((a, b) => b.createdAt - a.createdAt);
+  renderCardList(container, sorted, { emptyMessage: '投稿がありません。', study: state.study.enabled });
+}
+
+function renderImages() {
+  const container = document.getElementById('images-list');
+  const posts = state.data.posts.filter((p) => getImageUrl(p.imageId));
+  posts.sort((a, b) => b.createdAt - a.createdAt);
+  renderCardList(container, posts, { emptyMessage: '画像付きポストはありません。', highlightImage: true });
+}
+
+const isSpeakable = (lang) => Boolean(findLanguage(lang)?.speakable);
+
+// {{word}} in a text block marks a cloze target; the braces are never shown.
+const CLOZE_MARK = /\{\{(.+?)\}\}/g;
+const CLOZE_RANDOM_RATIO = 0.25;
+const stripClozeMarks = (text) => text.replace(CLOZE_MARK, '$1');
+
+// Ranges refer to the text with the marks already stripped.
+function findMarkedClozeRanges(content) {
+  const ranges = [];
+  let removed = 0;
+  for (const match of content.matchAll(CLOZE_MARK)) {
+    const start = match.index - removed;
+    ranges.push({ start, end: start + match[1].length });
+    removed += match[0].length - match[1].length;
+  }
+  return ranges;
+}
+
+function segmentWords(text, lang) {
+  if (typeof Intl.Segmenter === 'function') {
+    return [...new Intl.Segmenter(lang, { granularity: 'word' }).segment(text)]
+      .filter((s) => s.isWordLike)
+      .map((s) => ({ start: s.index, end: s.index + s.segment.length }));
+  }
+  return [...text.matchAll(/[\p{L}\p{N}'’-]+/gu)].map((m) => ({ start: m.index, end: m.index + m[0].length }));
+}
+
+// FNV-1a, so that random blanks stay put while the list re-renders.
+function hashString(value) {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function findRandomClozeRanges(text, lang, key) {
+  const words = segmentWords(text, lang);
+  const count = Math.max(1, Math.round(words.length * CLOZE_RANDOM_RATIO));
+  return words
+    .map((word, index) => ({ word, order: hashString(`${key}:${state.study.seed}:${index}`) }))
+    .sort((a, b) => a.order - b.order)
+    .slice(0, count)
+    .map(({ word }) => word)
+    .sort((a, b) => a.start - b.start);
+}
+
+function pickClozeRanges(t, key) {
+  const text = stripClozeMarks(t.content);
+  const marked = findMarkedClozeRanges(t.content);
+  if (state.study.mode === 'marked') return marked;
+  if (state.study.mode === 'auto' && marked.length) return marked;
+  return findRandomClozeRanges(text, t.language, key);
+}
+
+const normalizeClozeAnswer = (value) => value.normalize('NFKC').toLowerCase().replace(/[\s\p{P}]/gu, '');
+
+function showClozeAnswer(input, className) {
+  const answer = document.createElement('span');
+  answer.className = `cloze-answer ${className}`;
+  answer.textContent = input.dataset.answer;
+  input.replaceWith(answer);
+}
+
+function checkClozeInput(input, e) {
+  // an IME is still composing the syllable, so neither check is reliable yet
+  if (e?.isComposing) return;
+  state.study.answers[input.dataset.answerKey] = input.value;
+  const typed = normalizeClozeAnswer(input.value);
+  const expected = normalizeClozeAnswer(input.dataset.answer);
+  if (typed === expected) {
+    const card = input.closest('.card');
+    showClozeAnswer(input, 'correct');
+    // move on only while typing, not when render() restores an answer
+    if (e) card?.querySelector('.cloze-input')?.focus();
+    return;
+  }
+  input.classList.toggle('partial', Boolean(typed) && expected.startsWith(typed));
+  input.classList.toggle('wrong', Boolean(typed) && !expected.startsWith(typed));
+}
+
+function createClozeInput(answer, answerKey) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'cloze-input';
+  input.dataset.answer = answer;
+  input.dataset.answerKey = answerKey;
+  input.value = state.study.answers[answerKey] || '';
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+  input.setAttribute('aria-label', '空欄');
+  const width = [...answer].reduce((sum, char) => sum + (CJK_CHARACTER.test(char) ? 2 : 1), 0);
+  input.style.width = `${Math.max(2, width) + 1}ch`;
+  input.addEventListener('input', (e) => checkClozeInput(input, e));
+  input.addEventListener('compositionend', (e) => checkClozeInput(input, e));
+  return input;
+}
+
+// Study mode only changes how a block is shown: native-language blocks are
+// covered until tapped, the others get blanks to type into.
+function applyStudyMode(content, label, t, key) {
+  const text = stripClozeMarks(t.content);
+  content.classList.add('study-content');
+  if (t.language === state.study.nativeLanguage) {
+    content.classList.add('study-concealed');
+    content.title = 'タップで表示';
+    content.addEventListener('click', () => {
+      content.classList.remove('study-concealed');
+      content.removeAttribute('title');
+    }, { once: true });
+    return;
+  }
+  const ranges = pickClozeRanges(t, key);
+  if (!ranges.length) return;
+  const nodes = [];
+  let position = 0;
+  ranges.forEach(({ start, end }) => {
+    const answer = text.slice(start, end);
+    nodes.push(text.slice(position, start), createClozeInput(answer, `${key}:${start}:${answer}`));
+    position = end;
+  });
+  nodes.push(text.slice(position));
+  content.replaceChildren(...nodes);
+  content.querySelectorAll('.cloze-input').forEach((input) => {
+    if (input.value) checkClozeInput(input);
+  });
+
+  const reveal = document.createElement('button');
+  reveal.type = 'button';
+  reveal.className = 'text-action-button text-label-button cloze-reveal-button';
+  reveal.textContent = '答え';
+  reveal.addEventListener('click', () => {
+    content.querySelectorAll('.cloze-input').forEach((input) => showClozeAnswer(input, 'revealed'));
+  });
+  label.appendChild(reveal);
+}
+
+function renderStudyToolbars() {
+  document.querySelectorAll('.study-toolbar').forEach((toolbar) => {
+    toolbar.innerHTML = '';
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = `study-toggle${state.study.enabled ? ' active' : ''}`;
+    toggle.setAttribute('aria-pressed', String(state.study.enabled));
+    toggle.textContent = state.study.enabled ? '学習モード：オン' : '学習モード';
+    toggle.addEventListener('click', () => {
+      state.study.enabled = !state.study.enabled;
+      stopPlayback();
+      render();
+    });
+    toolbar.appendChild(toggle);
+    if (!state.study.enabled) return;
+
+    const modeSelect = createSelect([
+      ['auto', '{{ }} の語（なければランダム）'],
+      ['marked', '{{ }} の語だけ'],
+      ['random', 'ランダムな語'],
+    ], state.study.mode);
+    modeSelect.addEventListener('change', () => {
+      state.study.mode = modeSelect.value;
+      render();
+    });
+    const nativeSelect = createSelect(
+      getLanguages().map((lang) => [lang.value, `${lang.label}を隠す`]),
+      state.study.nativeLanguage,
+    );
+    nativeSelect.addEventListener('change', () => {
+      state.study.nativeLanguage = nativeSelect.value;
+      render();
+    });
+    const shuffle = document.createElement('button');
+    shuffle.type = 'button';
+    shuffle.className = 'playback-button';
+    shuffle.textContent = '出題を変える';
+    shuffle.addEventListener('click', () => {
+      state.study.seed += 1;
+      state.study.answers = {};
+      render();
+    });
+    toolbar.append(modeSelect, nativeSelect, shuffle);
+  });
+}
+
+// One text block as shown on a card. The data attributes let thread playback
+// find the blocks in display order, and blockKey ("<post or reply id>:<index>")
+// lets it find the block again after a re-render; studyKey turns on study mode.
+function createTextBlockView(t, { blockKey = null, studyKey = null } = {}) {
+  const speaker = t.speaker_type || t.speaker || 'none';
+  const blockGroup = document.createElement('div');
+  blockGroup.className = 'text-block-group';
+  blockGroup.appendChild(createSpeakerBadge(speaker));
+
+  const block = document.createElement('div');
+  block.className = 'text-block';
+  block.dataset.lang = t.language;
+  block.dataset.speaker = speaker;
+  if (blockKey) block.dataset.blockKey = blockKey;
+  const text = stripClozeMarks(t.content);
+  block.dataset.text = text;
+  const content = document.createElement('div');
+  content.className = 'text-content';
+  content.textContent = text;
+  const label = document.createElement('div');
+  label.className = 'text-label';
+  const languageLabel = getLanguageLabel(t.language);
+  if (isSpeakable(t.language)) {
+    const play = document.createElement('button');
+    play.type = 'button';
+    play.className = 'text-action-button text-label-button';
+    play.innerHTML = `<img src="img/vol.svg" alt="" width="16" class="icon-inline"> ${languageLabel}`;
+    play.addEventListener('click', () => {
+      stopPlayback();
+      playSpeech(text, t.language, { speaker, highlight: content });
+    });
+    const shadow = document.createElement('button');
+    shadow.type = 'button';
+    shadow.className = 'text-action-button text-label-button shadowing-button';
+    shadow.textContent = 'シャドーイング';
+    shadow.addEventListener('click', () => openShadowing(block));
+    label.append(play, shadow);
+  } else {
+    const langText = document.createElement('span');
+    langText.textContent = languageLabel;
+    label.appendChild(langText);
+  }
+  if (t.recordingId && state.data.recordings[t.recordingId]) {
+    const mine = document.createElement('button');
+    mine.type = 'button';
+    mine.className = 'text-action-button text-label-button recording-play-button';
+    mine.innerHTML = '<img src="img/vol.svg" alt="" width="16" class="icon-inline"> 自分の声';
+    mine.addEventListener('click', () => {
+      stopPlayback();
+      playRecording(t.recordingId);
+    });
+    label.appendChild(mine);
+    if (isSpeakable(t.language)) {
+      const compare = document.createElement('button');
+      compare.type = 'button';
+      compare.className = 'text-action-button text-label-button recording-play-button';
+      compare.textContent = '聞き比べ';
+      compare.title = '読み上げのあとに自分の録音を再生します';
+      compare.addEventListener('click', () => compareWithRecording(t, speaker, content));
+      label.appendChild(compare);
+    }
+  }
+  if (studyKey) applyStudyMode(content, label, t, studyKey);
+  block.append(label, content);
+
+  if (t.pronunciation) {
+    const pronunciation = document.createElement('div');
+    pronunciation.className = 'pronunciation';
+    pronunciation.textContent = t.pronunciation;
+    block.appendChild(pronunciation);
+  }
+  blockGroup.appendChild(block);
+  return blockGroup;
+}
+
+const DELETED_POST_TEXT = 'このポストは削除されました';
+
+function renderPostCard(post, options = {}) {
+  const template = document.getElementById('post-template');
+  const node = template.content.firstElementChild.cloneNode(true);
+  const meta = node.querySelector('.card-meta');
+  const body = node.querySelector('.card-body');
+  const tagsEl = node.querySelector('.tag-list');
+  const actions = node.querySelector('.card-actions');
+  const repliesWrap = node.querySelector('.replies');
+
+  meta.innerHTML = '';
+  const metaText = document.createElement('span');
+  metaText.className = 'card-meta-item';
+  metaText.textContent = formatDate(post.createdAt);
+  meta.appendChild(metaText);
+  if (post.updatedAt && post.updatedAt !== post.createdAt) {
+    meta.appendChild(createEditedLabel(post, 'post'));
+  }
+
+  if (post.repostOf) {
+    const repostInfo = document.createElement('span');
+    repostInfo.className = 'card-meta-item repost-info';
+    repostInfo.innerHTML = '/ <img src="img/repost.svg" alt="リポスト" width="16" class="icon-inline"> Repost';
+    meta.appendChild(repostInfo);
+  }
+
+  body.innerHTML = '';
+  if (post.isDeleted) {
+    body.innerHTML = `<div class="text-block">${DELETED_POST_TEXT}</div>`;
+  } else {
+    post.texts.forEach((t, index) => body.appendChild(createTextBlockView(t, {
+      blockKey: `${post.id}:${index}`,
+      studyKey: options.study ? `${post.id}:${index}` : null,
+    })));
+
+    if (post.imageRemoved) {
+      const removed = document.createElement('div');
+      removed.className = 'helper';
+      removed.textContent = '画像は容量制限のため削除されました';
+      body.appendChild(removed);
+    } else if (getImageUrl(post.imageId)) {
+      const img = document.createElement('img');
+      img.src = getImageUrl(post.imageId);
+      img.alt = '投稿画像';
+      img.className = options.highlightImage ? 'image-thumb highlight' : 'image-thumb';
+      img.addEventListener('click', () => openImageViewer(img.src));
+      body.appendChild(img);
+    }
+  }
+
+  tagsEl.innerHTML = '';
+  post.tags.forEach((tag) => {
+    const chip = document.createElement('span');
+    chip.className = 'tag';
+    chip.textContent = `#${tag}`;
+    chip.addEventListener('click', () => {
+      document.querySelector('.tabs button[data-tab="search"]').click();
+      document.getElementById('search-input').value = `#${tag}`;
+      runSearch();
+    });
+    tagsEl.appendChild(chip);
+  });
+  tagsEl.style.display = post.tags.length ? '' : 'none';
+
+  actions.innerHTML = '';
+  if (!post.isDeleted) {
+    const delBtn = document.createElement('button');
+    delBtn.className = 'card-action-button danger-action-button';
+    delBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="20" class="icon-inline">';
+    delBtn.addEventListener('click', () => deletePost(post.id));
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'card-action-button';
+    editBtn.innerHTML = '<img src="img/edit.svg" alt="編集" width="20" class="icon-inline">';
+    editBtn.addEventListener('click', () => openModal(buildPostForm({ mode: 'edit', targetPost: post }), '投稿を編集'));
+
+    const repostBtn = document.createElement('button');
+    repostBtn.className = 'card-action-button repost-action-button';
+    repostBtn.innerHTML = '<img src="img/repost.svg" alt="リポスト" width="20" class="icon-inline">';
+    repostBtn.addEventListener('click', () => {
+      const duplicate = { ...post, repostOf: post.id };
+      openModal(buildPostForm({ mode: 'create', targetPost: duplicate }), 'リポスト');
+    });
+
+    const replyBtn = document.createElement('button');
+    replyBtn.className = 'card-action-button';
+    replyBtn.innerHTML = '<img src="img/reply.svg" alt="返信" width="20" class="icon-inline">';
+    replyBtn.addEventListener('click', () => openModal(buildPostForm({ mode: 'reply', parentId: post.id }), '返信'));
+
+    const threadHasSpeech = [post, ...state.data.replies.filter((r) => r.postId === post.id)]
+      .some((item) => item.texts.some((t) => isSpeakable(t.language) && t.content.trim()));
+    const playThreadBtn = document.createElement('button');
+    playThreadBtn.className = 'card-action-button';
+    playThreadBtn.innerHTML = '<img src="img/vol.svg" alt="スレッドを再生" width="20" class="icon-inline">';
+    playThreadBtn.title = 'スレッドを再生';
+    playThreadBtn.addEventListener('click', () => playThread(node));
+
+    const inReview = state.data.reviews.some((item) => item.sourceId === post.id
+      || state.data.replies.some((r) => r.id === item.sourceId && r.postId === post.id));
+    const reviewBtn = document.createElement('button');
+    reviewBtn.className = 'card-action-button';
+    reviewBtn.innerHTML = inReview
+      ? '<img src="img/review_on.svg" alt="復習中" width="20" class="icon-inline">'
+      : '<img src="img/review_off.svg" alt="復習に追加" width="20" class="icon-inline">';
+    reviewBtn.title = '復習に追加';
+    reviewBtn.addEventListener('click', () => openReviewPicker(post));
+
+    const likeBtn = document.createElement('button');
+    likeBtn.className = 'card-action-button';
+    likeBtn.innerHTML = post.liked
+      ? '<img src="img/hart_on.svg" alt="いいね中" width="20" class="icon-inline">'
+      : '<img src="img/hart_off.svg" alt="いいね" width="20" class="icon-inline">';
+    if (post.liked) likeBtn.classList.add('liked');
+    likeBtn.addEventListener('click', () => toggleLike(post.id));
+
+    actions.append(delBtn, editBtn, repostBtn, replyBtn);
+    if (threadHasSpeech) actions.appendChild(playThreadBtn);
+    actions.append(reviewBtn, likeBtn);
+  }
+
+  const rels = state.data.replies
+    .filter((r) => r.postId === post.id)
+    .sort((a, b) => a.createdAt - b.createdAt);
+  repliesWrap.innerHTML = '';
+  rels.forEach((reply) => {
+    const card = document.createElement('div');
+    card.className = 'reply-card';
+    const metaRow = document.createElement('div');
+    metaRow.className = 'card-meta';
+    const metaText = document.createElement('span');
+    metaText.className = 'card-meta-item';
+    metaText.textContent = formatDate(reply.createdAt);
+    metaRow.appendChild(metaText);
+    if (reply.revisions?.length) {
+      metaRow.appendChild(createEditedLabel(reply, 'reply'));
+    }
+    const bodyRow = document.createElement('div');
+    bodyRow.className = 'card-body';
+    reply.texts.forEach((t, index) => bodyRow.appendChild(createTextBlockView(t, {
+      blockKey: `${reply.id}:${index}`,
+      studyKey: options.study ? `${reply.id}:${index}` : null,
+    })));
+    if (reply.imageRemoved) {
+      const removed = document.createElement('div');
+      removed.className = 'helper';
+      removed.textContent = '画像は容量制限のため削除されました';
+      bodyRow.appendChild(removed);
+    } else if (getImageUrl(reply.imageId)) {
+      const img = document.createElement('img');
+      img.src = getImageUrl(reply.imageId);
+      img.className = 'image-thumb';
+      img.alt = 'リプライ画像';
+      img.addEventListener('click', () => openImageViewer(img.src));
+      bodyRow.appendChild(img);
+    }
+
+    const actionsRow = document.createElement('div');
+    actionsRow.className = 'card-actions reply-card-actions';
+    const delReply = document.createElement('button');
+    delReply.className = 'card-action-button danger-action-button';
+    delReply.innerHTML = '<img src="img/delete.svg" alt="削除" width="20" class="icon-inline">';
+    delReply.addEventListener('click', () => deleteReply(reply.id));
+    const editReply = document.createElement('button');
+    editReply.className = 'card-action-button';
+    editReply.innerHTML = '<img src="img/edit.svg" alt="編集" width="20" class="icon-inline">';
+    editReply.addEventListener('click', () => openModal(buildPostForm({ mode: 'edit', targetPost: reply }), 'リプライを編集'));
+    actionsRow.append(delReply, editReply);
+
+    card.append(metaRow, bodyRow, actionsRow);
+    repliesWrap.appendChild(card);
+  });
+  repliesWrap.style.display = rels.length ? '' : 'none';
+
+  return node;
+}
+
+function openImageViewer(src) {
+  const viewer = document.getElementById('image-viewer');
+  const img = document.getElementById('full-image');
+  img.src = src;
+  showModalElement(viewer);
+}
+
+function closeImageViewer() {
+  hideModalElement(document.getElementById('image-viewer'));
+}
+
+function moveToTrash(kind, item) {
+  const entry = {
+    id: `${kind}:${item.id}`,
+    kind,
+    item: { ...item, texts: item.texts.map((t) => ({ ...t })), tags: [...(item.tags || [])] },
+    deletedAt: Date.now(),
+  };
+  state.data.trash = state.data.trash.filter((e) => e.id !== entry.id);
+  state.data.trash.push(entry);
+}
+
+function deletePost(id) {
+  const post = state.data.posts.find((p) => p.id === id);
+  if (!post) return;
+  const confirmed = window.confirm('このポストをゴミ箱に移動しますか？');
+  if (!confirmed) return;
+  moveToTrash('post', post);
+  const hasReplies = state.data.replies.some((r) => r.postId === id);
+  if (hasReplies) {
+    post.isDeleted = true;
+    post.deletedAt = Date.now();
+    post.texts = [{ content: '', language: 'ja' }];
+  } else {
+    addTombstone('post', post.id, post.createdAt);
+    state.data.posts = state.data.posts.filter((p) => p.id !== id);
+  }
+  persistData();
+  render();
+}
+
+function deleteReply(id) {
+  const target = state.data.replies.find((r) => r.id === id);
+  if (!target) return;
+  const confirmed = window.confirm('このリプライをゴミ箱に移動しますか？');
+  if (!confirmed) return;
+  moveToTrash('reply', target);
+  addTombstone('reply', target.id, target.createdAt);
+  state.data.replies = state.data.replies.filter((r) => r.id !== id);
+  persistData();
+  render();
+}
+
+function restoreTrashEntry(entryId) {
+  const entry = state.data.trash.find((e) => e.id === entryId);
+  if (!entry) return;
+  const { item } = entry;
+
+  if (entry.kind === 'reply') {
+    if (!state.data.posts.some((p) => p.id === item.postId)) {
+      const parentEntryId = `post:${item.postId}`;
+      if (!state.data.trash.some((e) => e.id === parentEntryId)) {
+        alert('返信先のポストが見つからないため復元できません');
+        return;
+      }
+      restoreTrashEntry(parentEntryId);
+    }
+    state.data.replies.push({ ...item, restoredAt: Date.now() });
+  } else {
+    const placeholder = state.data.posts.find((p) => p.id === item.id);
+    if (placeholder) {
+      Object.assign(placeholder, item, { isDeleted: false, restoredAt: Date.now() });
+      delete placeholder.deletedAt;
+    } else {
+      state.data.posts.push({ ...item, isDeleted: false, restoredAt: Date.now() });
+    }
+  }
+  removeTombstone(entry.kind, item.id);
+
+  state.data.trash = state.data.trash.filter((e) => e.id !== entryId);
+  persistData();
+  render();
+}
+
+function purgeTrashEntries(entryIds) {
+  const ids = new Set(entryIds);
+  const purged = state.data.trash.filter((e) => ids.has(e.id));
+  state.data.trash = state.data.trash.filter((e) => !ids.has(e.id));
+  purged.forEach((entry) => removeImageIfUnused(entry.item.imageId));
+  return purged.length;
+}
+
+function purgeExpiredTrash() {
+  const retention = Number(state.data.settings.trashRetentionDays) || defaultSettings().trashRetentionDays;
+  const threshold = Date.now() - retention * DAY_MS;
+  const expired = state.data.trash.filter((e) => e.deletedAt < threshold).map((e) => e.id);
+  if (purgeTrashEntries(expired)) persistData();
+}
+
+function buildTrashView() {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section trash-panel';
+
+  const settingsRow = document.createElement('label');
+  settingsRow.className = 'trash-settings';
+  const retentionInput = document.createElement('input');
+  retentionInput.type = 'number';
+  retentionInput.min = '1';
+  retentionInput.max = '365';
+  retentionInput.className = 'trash-retention-input';
+  retentionInput.value = state.data.settings.trashRetentionDays;
+  retentionInput.addEventListener('change', () => {
+    const days = Math.min(365, Math.max(1, Math.round(Number(retentionInput.value) || 0)));
+    retentionInput.value = days;
+    state.data.settings.trashRetentionDays = days;
+    purgeExpiredTrash();
+    persistData();
+    refreshTrashView();
+  });
+  settingsRow.append('保存期間', retentionInput, '日');
+  container.appendChild(settingsRow);
+
+  const entries = [...state.data.trash].sort((a, b) => b.deletedAt - a.deletedAt);
+  if (!entries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = 'ゴミ箱は空です。';
+    container.appendChild(empty);
+    return container;
+  }
+
+  const retention = state.data.settings.trashRetentionDays;
+  entries.forEach((entry) => {
+    const row = document.createElement('div');
+    row.className = 'trash-item';
+
+    const meta = document.createElement('div');
+    meta.className = 'card-meta';
+    const kindLabel = entry.kind === 'post' ? 'ポスト' : 'リプライ';
+    const remainingDays = Math.max(0, Math.ceil((entry.deletedAt + retention * DAY_MS - Date.now()) / DAY_MS));
+    meta.textContent = `${kindLabel} / ${formatDate(entry.deletedAt)} に削除 / あと${remainingDays}日`;
+
+    const preview = document.createElement('div');
+    preview.className = 'text-content trash-preview';
+    preview.textContent = entry.item.texts.map((t) => t.content).filter(Boolean).join('\n') || '（テキストなし）';
+
+    row.append(meta, preview);
+
+    if (entry.item.tags?.length) {
+      const tags = document.createElement('div');
+      tags.className = 'tag-list';
+      entry.item.tags.forEach((tag) => {
+        const chip = document.createElement('span');
+        chip.className = 'tag';
+        chip.textContent = `#${tag}`;
+        tags.appendChild(chip);
+      });
+      row.appendChild(tags);
+    }
+
+    const imageUrl = getImageUrl(entry.item.imageId);
+    if (imageUrl) {
+      const img = document.createElement('img');
+      img.src = imageUrl;
+      img.alt = '削除した画像';
+      img.className = 'image-thumb';
+      row.appendChild(img);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'trash-actions';
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'primary-button trash-action-button';
+    restoreBtn.textContent = '元に戻す';
+    restoreBtn.addEventListener('click', () => {
+      restoreTrashEntry(entry.id);
+      refreshTrashView();
+    });
+    const purgeBtn = document.createElement('button');
+    purgeBtn.type = 'button';
+    purgeBtn.className = 'trash-action-button danger-button';
+    purgeBtn.textContent = '完全に削除';
+    purgeBtn.addEventListener('click', () => {
+      if (!window.confirm('完全に削除すると元に戻せません。削除しますか？')) return;
+      purgeTrashEntries([entry.id]);
+      persistData();
+      refreshTrashView();
+    });
+    actions.append(restoreBtn, purgeBtn);
+    row.appendChild(actions);
+    container.appendChild(row);
+  });
+
+  const emptyBtn = document.createElement('button');
+  emptyBtn.type = 'button';
+  emptyBtn.className = 'trash-action-button danger-button';
+  emptyBtn.textContent = 'ゴミ箱を空にする';
+  emptyBtn.addEventListener('click', () => {
+    if (!window.confirm('ゴミ箱のすべての項目を完全に削除しますか？')) return;
+    purgeTrashEntries(state.data.trash.map((e) => e.id));
+    persistData();
+    refreshTrashView();
+  });
+  container.appendChild(emptyBtn);
+  return container;
+}
+
+function refreshTrashView() {
+  const body = document.getElementById('modal-body');
+  body.innerHTML = '';
+  body.appendChild(buildTrashView());
+}
+
+function openTrash() {
+  openModal(buildTrashView(), 'ゴミ箱');
+}
+
+function toggleLike(id) {
+  const post = state.data.posts.find((p) => p.id === id);
+  if (!post || post.isDeleted) return;
+  post.liked = !post.liked;
+  post.likedAt = post.liked ? Date.now() : null;
+  post.likedUpdatedAt = Date.now();
+  persistData();
+  render();
+}
+
+function toggleSearchLikeFilter() {
+  const btn = document.getElementById('search-like-btn');
+  if (!btn) return;
+  const nextState = !btn.classList.contains('active');
+  btn.classList.toggle('active', nextState);
+  btn.setAttribute('aria-pressed', nextState);
+  const icon = btn.querySelector('img');
+  if (icon) icon.src = nextState ? 'img/hart_on.svg' : 'img/hart_off.svg';
+}
+
+function isSearchLikeFilterActive() {
+  return document.getElementById('search-like-btn')?.classList.contains('active');
+}
+
+function searchPosts(query, { likedOnly = false } = {}) {
+  const terms = query.split(/\s+/).filter(Boolean);
+  let tagFilter = null;
+  let languageFilter = null;
+  const textTerms = [];
+  terms.forEach((t) => {
+    if (t.startsWith('#')) tagFilter = t.slice(1);
+    else if (/^lang:./i.test(t)) languageFilter = resolveLanguage(t.slice(5)) || t.slice(5);
+    else textTerms.push(t);
+  });
 
-  actions.append(cancelBtn, fileLabel, submitBtn);
+  let results = state.data.posts.filter((p) => !p.isDeleted);
+  if (languageFilter) {
+    results = results.filter((p) => p.texts.some((t) => t.language === languageFilter));
+  }
+  if (tagFilter) {
+    const tagLower = tagFilter.toLowerCase();
+    results = results.filter((p) => p.tags.some((tag) => tag.toLowerCase() === tagLower));
+  }
+  if (textTerms.length) {
+    const lowerTerms = textTerms.map((t) => t.toLowerCase());
+    results = results.filter((p) => lowerTerms.every((term) => p.texts.some((t) => t.content.toLowerCase().includes(term))));
+  }
+  if (likedOnly) {
+    results = results.filter((p) => p.liked);
+  }
+  return results.sort((a, b) => b.createdAt - a.createdAt);
+}
 
-  container.appendChild(textAreaContainer);
-  container.appendChild(addBtn);
-  container.appendChild(imageRow);
-  fragment.appendChild(tagSection);
-  fragment.appendChild(actions);
-  return fragment;
+function getSearchQuery() {
+  return document.getElementById('search-input').value.trim();
 }
 
-function playSpeech(text, lang) {
-  if (!text || lang === 'ja') return;
-  const utter = new SpeechSynthesisUtterance(text);
-  utter.lang = lang;
-  const voices = window.speechSynthesis.getVoices();
-  const hint = langOptions.find((l) => l.value === lang)?.voiceHint;
-  if (hint) {
-    const voice = voices.find((v) => v.name.includes(hint));
-    if (voice) utter.voice = voice;
-  }
-  window.speechSynthesis.speak(utter);
+function runSearch() {
+  const container = document.getElementById('search-results');
+  const results = searchPosts(getSearchQuery(), { likedOnly: isSearchLikeFilterActive() });
+  renderCardList(container, results, { emptyMessage: '検索結果がありません。', study: state.study.enabled });
 }
 
-function collectTextEntries() {
-  const entries = [];
-  const pushEntries = (items) => {
-    items.forEach((item) => {
-      const createdAt = item.createdAt;
-      (item.texts || []).forEach((text) => {
-        const content = text.content?.trim() || '';
-        if (!content.length) return;
-        entries.push({
-          language: text.language,
-          createdAt,
-        });
-      });
-    });
-  };
-  pushEntries(state.data.posts);
-  pushEntries(state.data.replies);
-  return entries;
+function getUpdatedTimestamp(item) {
+  return Math.max(item?.updatedAt || item?.createdAt || 0, item?.deletedAt || 0, item?.restoredAt || 0);
 }
 
-function getDateKey(ts) {
-  const d = new Date(ts);
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+function addTombstone(kind, recordId, createdAt = null) {
+  const id = `${kind}:${recordId}`;
+  state.data.tombstones = state.data.tombstones.filter((t) => t.id !== id);
+  state.data.tombstones.push({ id, kind, recordId, createdAt, deletedAt: Date.now() });
 }
 
-function getHeatmapColor(count) {
-  if (count === 0) return 'rgba(255, 255, 255, .5)';
-  if (count <= 2) return '#C5E0FF';
-  if (count <= 4) return '#7AB7FF';
-  return '#2F6FE4';
+function removeTombstone(kind, recordId) {
+  const id = `${kind}:${recordId}`;
+  state.data.tombstones = state.data.tombstones.filter((t) => t.id !== id);
 }
 
-function render() {
-  renderTimeline();
-  runSearch();
-  if (state.currentTab === 'dashboard') {
-    renderDashboard();
-  }
+function mergeTombstones(existing = [], incoming = []) {
+  const map = new Map();
+  [...existing, ...incoming].forEach((tombstone) => {
+    if (!tombstone?.id) return;
+    const current = map.get(tombstone.id);
+    if (!current || tombstone.deletedAt > current.deletedAt) map.set(tombstone.id, tombstone);
+  });
+  return Array.from(map.values());
 }
 
-function renderDashboard() {
-  const chartContainer = document.getElementById('dashboard-chart-container');
-  const countsContainer = document.getElementById('dashboard-text-counts');
-  const heatmapContainer = document.getElementById('dashboard-heatmap-container');
-  if (!chartContainer || !countsContainer || !heatmapContainer) return;
+// A record stays deleted unless it was edited or restored after the deletion.
+function isBuried(item, kind, tombstones) {
+  const tombstone = tombstones?.get(`${kind}:${item.id}`);
+  if (!tombstone) return false;
+  if (tombstone.createdAt != null && tombstone.createdAt !== item.createdAt) return false;
+  return tombstone.deletedAt >= getUpdatedTimestamp(item);
+}
 
-  const entries = collectTextEntries();
-  const counts = { 'en-US': 0, 'ko-KR': 0, 'zh-TW': 0 };
-  entries.forEach((entry) => {
-    if (entry.language === 'ja') return;
-    if (Object.prototype.hasOwnProperty.call(counts, entry.language)) counts[entry.language] += 1;
+// Like state has its own timestamp, so liking on one device and editing on another both survive.
+function mergeLikeState(merged, current, incoming) {
+  const likeSource = (incoming.likedUpdatedAt || 0) > (current.likedUpdatedAt || 0) ? incoming : current;
+  if (!('liked' in likeSource) || likeSource.likedUpdatedAt === merged.likedUpdatedAt) return merged;
+  return {
+    ...merged,
+    liked: likeSource.liked,
+    likedAt: likeSource.likedAt,
+    likedUpdatedAt: likeSource.likedUpdatedAt,
+  };
+}
+
+function mergeCollections(existing, incoming, { kind = null, tombstones = null } = {}) {
+  const map = new Map();
+  (existing || []).forEach((item) => {
+    if (item?.id == null || isBuried(item, kind, tombstones)) return;
+    map.set(item.id, item);
   });
-  const total = Object.values(counts).reduce((sum, val) => sum + val, 0);
 
-  chartContainer.innerHTML = '';
-  const canvas = document.createElement('canvas');
-  canvas.id = 'dashboard-chart-canvas';
-  chartContainer.appendChild(canvas);
+  (incoming || []).forEach((item) => {
+    if (item?.id == null || isBuried(item, kind, tombstones)) return;
+    if (!map.has(item.id)) {
+      map.set(item.id, item);
+      return;
+    }
+    const current = map.get(item.id);
+    const shouldReplace = getUpdatedTimestamp(item) > getUpdatedTimestamp(current);
+    map.set(item.id, mergeLikeState(shouldReplace ? { ...current, ...item } : current, current, item));
+  });
 
-  const centerTotal = document.createElement('div');
-  centerTotal.className = 'dashboard-count-total dashboard-chart-total';
-  centerTotal.textContent = total;
-  chartContainer.appendChild(centerTotal);
+  return Array.from(map.values());
+}
 
-  const chartData = {
-    labels: dashboardLanguages.map((l) => l.label),
-    datasets: [
-      {
-        data: dashboardLanguages.map((l) => counts[l.value]),
-        backgroundColor: dashboardLanguages.map((l) => l.color),
-        borderWidth: 0,
-      },
-    ],
-  };
+const isLegacyId = (id) => typeof id === 'number' || /^\d+$/.test(String(id));
 
-  // 👇 Chart.js はまだ描画しない（ここが重要）
-  if (state.dashboardChart) {
-    state.dashboardChart.destroy();
-    state.dashboardChart = null;
+// A remapped ID is derived from the incoming record (or image bytes), so importing the
+// same data again lands on the same local record instead of adding another copy.
+async function createDerivedId(prefix, source) {
+  const bytes = typeof source === 'string' ? new TextEncoder().encode(source) : await source.arrayBuffer();
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return `${prefix}-${[...digest.slice(0, 16)].map((b) => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Legacy numeric IDs came from a per-device counter, so the same number on two devices can
+// mean two different records. A clash is an equal ID with a different createdAt.
+async function findIdClashes(localItems, incomingItems, prefix) {
+  const localCreatedAt = new Map(localItems.map((item) => [String(item.id), item.createdAt]));
+  const remap = new Map();
+  for (const item of incomingItems) {
+    const key = String(item.id);
+    if (!isLegacyId(item.id) || !localCreatedAt.has(key) || remap.has(key)) continue;
+    if (localCreatedAt.get(key) !== item.createdAt) remap.set(key, await createDerivedId(prefix, `${key}:${item.createdAt}`));
   }
+  return remap;
+}
 
-  // ✅ レイアウト確定後（1フレーム後）に描画
-  requestAnimationFrame(() => {
-    // ① Canvasサイズ確定
-    const w = 113;
-    const h = 113; // 好きな高さ
-    canvas.width = w;
-    canvas.height = h;
+async function remapIncomingIds(incoming) {
+  const trashItems = (trash, kind) => (trash || []).filter((e) => e.kind === kind).map((e) => e.item);
+  const postMap = await findIdClashes(
+    [...state.data.posts, ...trashItems(state.data.trash, 'post')],
+    [...(incoming.posts || []), ...trashItems(incoming.trash, 'post')],
+    'post',
+  );
+  const replyMap = await findIdClashes(
+    [...state.data.replies, ...trashItems(state.data.trash, 'reply')],
+    [...(incoming.replies || []), ...trashItems(incoming.trash, 'reply')],
+    'reply',
+  );
+  const images = normalizeBlobs(incoming.images);
+  const imageMap = new Map();
+  for (const [id, blob] of Object.entries(images)) {
+    const local = state.data.images[id];
+    if (local && !(await blobsEqual(local, blob))) imageMap.set(id, await createDerivedId('img', blob));
+  }
 
-    // ② Chart生成 (ここで初めてOK)
-    state.dashboardChart = new Chart(canvas.getContext('2d'), {
-      type: 'doughnut',
-      data: chartData,
-      options: {
-        responsive: false,   // ← Canvas拡大で0に戻されるのを防止
-        rotation: -90 * (Math.PI / 180),
-        cutout: '70%',
-        animation: {
-          animateRotate: true,
-          animateScale: false,
-          duration: 1200
-        },
-        plugins: {
-          legend: { display: false },
-          tooltip: {
-            callbacks: {
-              label: (context) => `${context.label}: ${context.raw} texts`,
-            },
-          },
-        },
-      },
+  const mapId = (map, id) => (id == null ? id : map.get(String(id)) ?? id);
+  const remapItem = (item, ownMap) => {
+    const next = { ...item, id: mapId(ownMap, item.id) };
+    if ('postId' in item) next.postId = mapId(postMap, item.postId);
+    if ('repostOf' in item) next.repostOf = mapId(postMap, item.repostOf);
+    if ('imageId' in item) next.imageId = mapId(imageMap, item.imageId);
+    return next;
+  };
+
+  return {
+    data: {
+      ...incoming,
+      posts: (incoming.posts || []).map((post) => remapItem(post, postMap)),
+      replies: (incoming.replies || []).map((reply) => remapItem(reply, replyMap)),
+      trash: (incoming.trash || []).map((entry) => {
+        const item = remapItem(entry.item, entry.kind === 'post' ? postMap : replyMap);
+        return { ...entry, id: `${entry.kind}:${item.id}`, item };
+      }),
+      reviews: (incoming.reviews || []).map((review) => ({
+        ...review,
+        sourceId: mapId(review.sourceKind === 'reply' ? replyMap : postMap, review.sourceId),
+      })),
+      images: Object.fromEntries(Object.entries(images).map(([id, blob]) => [mapId(imageMap, id), blob])),
+      recordings: normalizeBlobs(incoming.recordings),
+    },
+    remapped: postMap.size + replyMap.size + imageMap.size,
+  };
+}
+
+// Voice settings from the file fill in languages and speakers that have no
+// entry here; the ones set on this device are kept.
+function mergeVoiceSettings(local = {}, incoming = {}) {
+  const merged = { ...local };
+  Object.entries(incoming || {}).forEach(([lang, config]) => {
+    if (!config || typeof config !== 'object') return;
+    const current = { ...(merged[lang] || {}) };
+    Object.entries(config).forEach(([key, entry]) => {
+      if (!current[key] && entry && typeof entry === 'object') current[key] = { ...entry };
     });
+    if (Object.keys(current).length) merged[lang] = current;
   });
+  return merged;
+}
 
-  // ===== ここより下はそのままでOK ↓ =====
-
-  state.hasPlayedDashboardAnimation = true;
+function mergeIntoState(incoming, overrides = {}) {
+  const merged = { ...defaultData(), ...state.data };
 
-  countsContainer.innerHTML = '';
-  dashboardLanguages.forEach((lang) => {
-    const row = document.createElement('div');
-    row.className = 'dashboard-count-item';
-    const swatch = document.createElement('span');
-    swatch.className = 'dashboard-count-swatch';
-    swatch.style.backgroundColor = lang.color;
-    const label = document.createElement('span');
-    label.textContent = `${lang.label}: ${counts[lang.value]}`;
-    row.append(swatch, label);
-    countsContainer.appendChild(row);
+  merged.tombstones = mergeTombstones(merged.tombstones, incoming.tombstones);
+  const tombstones = new Map(merged.tombstones.map((t) => [t.id, t]));
+  merged.posts = mergeCollections(merged.posts, incoming.posts || [], { kind: 'post', tombstones });
+  merged.replies = mergeCollections(merged.replies, incoming.replies || [], { kind: 'reply', tombstones });
+  Object.entries(overrides).forEach(([name, items]) => {
+    items.forEach((item) => {
+      merged[name] = [...merged[name].filter((current) => current.id !== item.id), item];
+    });
+  });
+  merged.reviews = mergeCollections(merged.reviews, incoming.reviews || [], { kind: 'review', tombstones });
+  const vocabulary = dedupeVocabulary(
+    mergeCollections(merged.vocabulary, incoming.vocabulary || [], { kind: 'vocabulary', tombstones }),
+  );
+  merged.vocabulary = vocabulary.entries;
+  merged.tombstones = mergeTombstones(merged.tombstones, vocabulary.dropped);
+  merged.trash = mergeCollections(merged.trash, incoming.trash || []).filter((entry) => {
+    // drop entries that were restored on the other side after being deleted
+    const live = merged[entry.kind === 'post' ? 'posts' : 'replies'].find((item) => item.id === entry.item.id);
+    return !live || live.isDeleted || (live.restoredAt || 0) < entry.deletedAt;
   });
 
-  const filteredEntries = entries.filter((entry) => Object.prototype.hasOwnProperty.call(counts, entry.language));
-  const dateCounts = new Map();
-  filteredEntries.forEach((entry) => {
-    const key = getDateKey(entry.createdAt);
-    dateCounts.set(key, (dateCounts.get(key) || 0) + 1);
+  const referenced = new Set(
+    [...merged.posts, ...merged.replies, ...merged.trash.map((e) => e.item)].map((item) => item.imageId).filter(Boolean),
+  );
+  merged.images = { ...merged.images };
+  Object.entries(incoming.images || {}).forEach(([id, blob]) => {
+    if (!merged.images[id] && (!tombstones.has(`image:${id}`) || referenced.has(id))) merged.images[id] = blob;
   });
+  Object.keys(merged.images).forEach((id) => {
+    if (tombstones.has(`image:${id}`) && !referenced.has(id)) delete merged.images[id];
+  });
+  // recordings never change once saved, so only missing ones are taken over
+  merged.recordings = { ...incoming.recordings, ...merged.recordings };
+  merged.settings = {
+    ...merged.settings,
+    voices: mergeVoiceSettings(merged.settings.voices, incoming.settings?.voices),
+    languages: addMissingLanguages(getLanguages({ includeHidden: true }), merged),
+  };
+  merged.version = DATA_VERSION;
 
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const days = [];
-  for (let i = 364; i >= 0; i -= 1) {
-    const date = new Date(today);
-    date.setDate(today.getDate() - i);
-    const key = getDateKey(date);
-    days.push({ date, key, count: dateCounts.get(key) || 0 });
-  }
+  state.data = merged;
+}
 
-  const startOffset = days[0].date.getDay();
-  const columns = [];
-  let column = [];
-  for (let i = 0; i < startOffset; i += 1) {
-    column.push(null);
+function replaceState(incoming) {
+  state.data = {
+    ...defaultData(),
+    ...incoming,
+    settings: { ...defaultSettings(), ...(incoming.settings || {}) },
+    images: normalizeBlobs(incoming.images),
+    recordings: normalizeBlobs(incoming.recordings),
+    version: DATA_VERSION,
+  };
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
   }
-  days.forEach((day) => {
-    column.push(day);
-    if (column.length === 7) {
-      columns.push(column);
-      column = [];
+  return JSON.stringify(value) ?? 'null';
+}
+
+const withoutLikeState = ({ liked, likedAt, likedUpdatedAt, ...rest }) => rest;
+
+// The revisions are the common history: a side whose current texts appear in the
+// other side's revisions was simply edited further over there (a fast-forward).
+// Only edits that branched from each other are conflicts.
+function isDivergentEdit(mine, theirs) {
+  const texts = (item) => stableStringify(item.texts || []);
+  if (texts(mine) === texts(theirs)) return false;
+  const inHistory = (item, other) => (other.revisions || []).some((revision) => stableStringify(revision.texts || []) === texts(item));
+  return !inHistory(mine, theirs) && !inHistory(theirs, mine);
+}
+
+function classifyRecords(localItems, incomingItems, kind, tombstones) {
+  const local = new Map(localItems.map((item) => [item.id, item]));
+  const result = { new: [], updated: [], conflict: [], unchanged: [], deleted: [] };
+  incomingItems.forEach((item) => {
+    if (item?.id == null || isBuried(item, kind, tombstones)) return;
+    const mine = local.get(item.id);
+    if (!mine) {
+      result.new.push(item);
+      return;
+    }
+    if (stableStringify(mine) === stableStringify(item)) {
+      result.unchanged.push(item);
+      return;
+    }
+    const theirsNewer = getUpdatedTimestamp(item) > getUpdatedTimestamp(mine);
+    if (stableStringify(withoutLikeState(mine)) === stableStringify(withoutLikeState(item))) {
+      const likeNewer = (item.likedUpdatedAt || 0) > (mine.likedUpdatedAt || 0);
+      result[likeNewer ? 'updated' : 'unchanged'].push(item);
+      return;
+    }
+    if (isDivergentEdit(mine, item)) {
+      result.conflict.push({ mine, theirs: item });
+    } else {
+      result[theirsNewer ? 'updated' : 'unchanged'].push(item);
     }
   });
-  if (column.length) columns.push(column);
+  result.deleted = localItems.filter((item) => isBuried(item, kind, tombstones));
+  return result;
+}
 
-  heatmapContainer.innerHTML = '';
-  const scrollArea = document.createElement('div');
-  scrollArea.className = 'heatmap-scroll-area';
+function buildImportPlan(incoming) {
+  const tombstones = new Map(mergeTombstones(state.data.tombstones, incoming.tombstones).map((t) => [t.id, t]));
+  const images = { new: [], updated: [], conflict: [], unchanged: [], deleted: [] };
+  Object.keys(incoming.images || {}).forEach((id) => {
+    if (state.data.images[id]) images.unchanged.push(id);
+    else if (!tombstones.has(`image:${id}`)) images.new.push(id);
+  });
+  return {
+    posts: classifyRecords(state.data.posts, incoming.posts || [], 'post', tombstones),
+    replies: classifyRecords(state.data.replies, incoming.replies || [], 'reply', tombstones),
+    images,
+  };
+}
 
-  const monthsRow = document.createElement('div');
-  monthsRow.className = 'heatmap-months';
+async function prepareImport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('invalid data');
+  const migrated = migrateData(data);
+  migrated.vocabulary = normalizeVocabulary(migrated.vocabulary);
+  const { data: incoming, remapped } = await remapIncomingIds(migrated);
+  return { raw: data, migrated, incoming, remapped, plan: buildImportPlan(incoming) };
+}
 
-  const grid = document.createElement('div');
-  grid.className = 'heatmap-grid';
-  const monthLabels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  let lastMonth = null;
-  columns.forEach((col) => {
-    const firstDay = col.find((cell) => cell);
-    const currentMonth = firstDay ? firstDay.date.getMonth() : lastMonth;
-    const monthLabel = currentMonth !== null && currentMonth !== lastMonth ? monthLabels[currentMonth] : '';
+// choices: Map of "posts:<id>" / "replies:<id>" to 'mine' | 'theirs' | 'both'.
+// Conflicts without a choice keep whichever side was updated last.
+function resolveConflicts(incoming, plan, choices) {
+  const resolved = { ...incoming, posts: [...(incoming.posts || [])], replies: [...(incoming.replies || [])] };
+  const overrides = { posts: [], replies: [] };
+  const localReplyIds = new Set(state.data.replies.map((r) => r.id));
+  ['posts', 'replies'].forEach((name) => {
+    plan[name].conflict.forEach(({ theirs }) => {
+      const choice = choices.get(`${name}:${theirs.id}`);
+      if (choice === 'mine') {
+        resolved[name] = resolved[name].filter((item) => item.id !== theirs.id);
+      } else if (choice === 'theirs') {
+        overrides[name].push(theirs);
+      } else if (choice === 'both') {
+        const copyId = createId(name === 'posts' ? 'post' : 'reply');
+        resolved[name] = resolved[name].map((item) => (item.id === theirs.id ? { ...item, id: copyId } : item));
+        if (name === 'posts') {
+          // replies that only exist in the imported data follow their version of the post
+          resolved.replies = resolved.replies.map((reply) => (
+            reply.postId === theirs.id && !localReplyIds.has(reply.id) ? { ...reply, postId: copyId } : reply
+          ));
+        }
+      }
+    });
+  });
+  return { resolved, overrides };
+}
 
-    const monthEl = document.createElement('div');
-    monthEl.className = 'heatmap-month';
-    monthEl.textContent = monthLabel;
-    monthsRow.appendChild(monthEl);
+async function applyImport(prepared, { mode = 'merge', choices = new Map() } = {}) {
+  await saveSnapshot('before-import');
+  if (needsMigration(prepared.raw)) {
+    await saveBackup(prepared.raw, 'import-migration', MIGRATION_BACKUP_LIMIT);
+  }
+  if (mode === 'replace') {
+    replaceState(prepared.migrated);
+  } else {
+    const { resolved, overrides } = resolveConflicts(prepared.incoming, prepared.plan, choices);
+    mergeIntoState(resolved, overrides);
+  }
+  persistData();
+  render();
+}
+
+async function mergeImportedData(data) {
+  await applyImport(await prepareImport(data));
+}
+
+function describeRecord(item) {
+  const text = (item.texts || []).map((t) => t.content).filter(Boolean).join(' / ') || '（テキストなし）';
+  return `${formatDate(getUpdatedTimestamp(item))}：${text}`;
+}
 
-    const colEl = document.createElement('div');
-    colEl.className = 'heatmap-column';
-    col.forEach((cell) => {
-      const cellEl = document.createElement('div');
-      cellEl.className = 'heatmap-cell';
-      if (cell) {
-        cellEl.style.backgroundColor = getHeatmapColor(cell.count);
-        cellEl.title = `${cell.key}: ${cell.count} texts`;
-      }
-      colEl.appendChild(cellEl);
+function buildImportPreview(prepared, { onApplied } = {}) {
+  const { plan } = prepared;
+  const container = document.createElement('div');
+  container.className = 'modal-body-section import-preview';
+
+  const modeRow = document.createElement('div');
+  modeRow.className = 'import-mode';
+  let mode = 'merge';
+  [['merge', 'マージ（差分を取り込む）'], ['replace', '全置換（今のデータを削除して置き換える）']].forEach(([value, label]) => {
+    const option = document.createElement('label');
+    option.className = 'import-mode-option';
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'import-mode';
+    radio.value = value;
+    radio.checked = value === mode;
+    radio.addEventListener('change', () => {
+      mode = value;
+      conflictSection.hidden = mode === 'replace' || !conflicts.length;
+      summary.classList.toggle('disabled', mode === 'replace');
     });
-    grid.appendChild(colEl);
-
-    if (firstDay) {
-      lastMonth = firstDay.date.getMonth();
-    }
+    option.append(radio, label);
+    modeRow.appendChild(option);
+  });
+  container.appendChild(modeRow);
+
+  const summary = document.createElement('table');
+  summary.className = 'import-summary';
+  const columns = [['new', '新規'], ['updated', '更新'], ['conflict', '競合'], ['unchanged', '変更なし'], ['deleted', '削除']];
+  const headRow = summary.insertRow();
+  ['', ...columns.map(([, label]) => label)].forEach((label) => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  [['posts', 'ポスト'], ['replies', 'リプライ'], ['images', '画像']].forEach(([name, label]) => {
+    const row = summary.insertRow();
+    const th = document.createElement('th');
+    th.textContent = label;
+    row.appendChild(th);
+    columns.forEach(([key]) => {
+      row.insertCell().textContent = plan[name][key].length;
+    });
+  });
+  container.appendChild(summary);
+
+  const notes = [];
+  if (needsMigration(prepared.raw)) notes.push(`古い形式（version ${Number(prepared.raw.version) || 1}）のデータを変換して取り込みます。`);
+  if (prepared.remapped) notes.push(`IDが重複していた ${prepared.remapped} 件は、別のデータとして新しいIDで取り込みます。`);
+  notes.forEach((text) => {
+    const note = document.createElement('p');
+    note.className = 'helper';
+    note.textContent = text;
+    container.appendChild(note);
   });
 
-  scrollArea.append(monthsRow, grid);
-
-  const legend = document.createElement('div');
-  legend.className = 'heatmap-legend';
-  const legendItems = [
-    { label: '0', count: 0 },
-    { label: '1-2', count: 1 },
-    { label: '3-4', count: 3 },
-    { label: '5+', count: 5 },
+  const choices = new Map();
+  const conflicts = [
+    ...plan.posts.conflict.map((c) => ({ ...c, key: `posts:${c.theirs.id}`, label: 'ポスト' })),
+    ...plan.replies.conflict.map((c) => ({ ...c, key: `replies:${c.theirs.id}`, label: 'リプライ' })),
   ];
-  legendItems.forEach(({ label, count }) => {
-    const item = document.createElement('span');
-    item.className = 'heatmap-legend-item';
-    const sample = document.createElement('div');
-    sample.className = 'heatmap-cell';
-    sample.style.backgroundColor = getHeatmapColor(count);
-    item.append(sample);
-    legend.appendChild(item);
+  const conflictSection = document.createElement('div');
+  conflictSection.className = 'import-conflicts';
+  conflictSection.hidden = !conflicts.length;
+  conflicts.forEach(({ mine, theirs, key, label }) => {
+    const item = document.createElement('div');
+    item.className = 'import-conflict';
+    const title = document.createElement('div');
+    title.className = 'card-meta';
+    title.textContent = `${label}の競合`;
+    const mineText = document.createElement('div');
+    mineText.className = 'import-conflict-text';
+    mineText.textContent = `手元：${describeRecord(mine)}`;
+    const theirsText = document.createElement('div');
+    theirsText.className = 'import-conflict-text';
+    theirsText.textContent = `取り込み：${describeRecord(theirs)}`;
+    const select = document.createElement('select');
+    select.className = 'language-select-input';
+    [['mine', '手元を残す'], ['theirs', '取り込む側にする'], ['both', '両方残す']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = getUpdatedTimestamp(theirs) > getUpdatedTimestamp(mine) ? 'theirs' : 'mine';
+    choices.set(key, select.value);
+    select.addEventListener('change', () => choices.set(key, select.value));
+    item.append(title, mineText, theirsText, select);
+    conflictSection.appendChild(item);
   });
+  container.appendChild(conflictSection);
 
-  heatmapContainer.append(scrollArea, legend);
-
-  // 最新が右端なので、右端から表示
-  requestAnimationFrame(() => {
-    scrollArea.scrollLeft = scrollArea.scrollWidth;
+  const actions = document.createElement('div');
+  actions.className = 'trash-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'trash-action-button import-button';
+  cancelBtn.textContent = 'キャンセル';
+  cancelBtn.addEventListener('click', () => closeModal());
+  const applyBtn = document.createElement('button');
+  applyBtn.type = 'button';
+  applyBtn.className = 'primary-button trash-action-button';
+  applyBtn.textContent = '取り込む';
+  applyBtn.addEventListener('click', async () => {
+    if (mode === 'replace' && !window.confirm('今のデータをすべて削除して、インポートしたデータに置き換えます。よろしいですか？')) return;
+    applyBtn.disabled = true;
+    try {
+      await applyImport(prepared, { mode, choices });
+      closeModal();
+      if (onApplied) onApplied();
+    } catch (e) {
+      console.error('Failed to import data', e);
+      alert(describeImportError(e));
+      applyBtn.disabled = false;
+    }
   });
+  actions.append(cancelBtn, applyBtn);
+  container.appendChild(actions);
+  return container;
 }
 
+async function openImportPreview(data, options) {
+  const prepared = await prepareImport(data);
+  openModal(buildImportPreview(prepared, options), 'インポートのプレビュー');
+}
 
-function renderCardList(container, items, { emptyMessage, highlightImage = false } = {}) {
-  if (container._infiniteObserver) {
-    container._infiniteObserver.disconnect();
-  }
-  container.innerHTML = '';
-  if (!items.length) {
-    container.innerHTML = `<div class="empty-state">${emptyMessage}</div>`;
+async function openJsonImport(json, options) {
+  if (isEncryptedBackup(json)) {
+    openModal(buildPassphraseView(json, options), '暗号化されたバックアップ');
     return;
   }
+  await openImportPreview(json, options);
+}
 
-  const initialCount = 50;
-  const batchSize = 20;
-  let index = 0;
-  let observer = null;
+async function importFromJsonString(text, options) {
+  await openJsonImport(JSON.parse(text), options);
+}
 
-  const addSentinel = () => {
-    const sentinel = document.createElement('div');
-    sentinel.className = 'load-sentinel';
-    container.appendChild(sentinel);
-    if (observer) observer.observe(sentinel);
+function createImportedPost(texts, { createdAt = Date.now(), tags = [] } = {}) {
+  return {
+    id: createId('post'),
+    texts,
+    tags: [...new Set([...tags, ...extractTags(texts)])],
+    createdAt,
+    updatedAt: createdAt,
+    imageId: null,
+    imageRemoved: false,
+    isDeleted: false,
+    liked: false,
+    likedAt: null,
+    likedUpdatedAt: null,
+    repostOf: null,
+    revisions: [],
   };
+}
 
-  const renderBatch = (count) => {
-    const slice = items.slice(index, index + count);
-    slice.forEach((post) => container.appendChild(renderPostCard(post, { highlightImage })));
-    index += count;
-    if (index < items.length) addSentinel();
+function createImportedReply(postId, texts, { createdAt = Date.now(), tags = [] } = {}) {
+  return {
+    id: createId('reply'),
+    postId,
+    texts,
+    tags: [...new Set([...tags, ...extractTags(texts)])],
+    createdAt,
+    updatedAt: createdAt,
+    imageId: null,
+    isDeleted: false,
+    revisions: [],
   };
+}
 
-  observer = new IntersectionObserver((entries) => {
-    entries.forEach((entry) => {
-      if (entry.isIntersecting) {
-        observer.unobserve(entry.target);
-        entry.target.remove();
-        renderBatch(batchSize);
-      }
-    });
-  }, { root: null, rootMargin: '200px' });
+const isLegacyConversation = (items) => items.every((item) => item && typeof item === 'object' && !Array.isArray(item)
+  && !('messages' in item) && !('texts' in item));
 
-  renderBatch(initialCount);
-  container._infiniteObserver = observer;
+// Accepts the documented { conversations: [...] } object, a bare array of
+// conversations, or the original flat array of messages (one conversation).
+function normalizeConversationInput(parsed) {
+  if (Array.isArray(parsed)) return isLegacyConversation(parsed) ? [{ messages: parsed }] : parsed;
+  if (parsed && typeof parsed === 'object' && Array.isArray(parsed.conversations)) return parsed.conversations;
+  return null;
 }
 
-function renderTimeline() {
-  const container = document.getElementById('timeline-list');
-  const sorted = [...state.data.posts].sort((a, b) => b.createdAt - a.createdAt);
-  renderCardList(container, sorted, { emptyMessage: '投稿がありません。' });
+const isConversationData = (parsed) => normalizeConversationInput(parsed) !== null;
+
+function parseTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value === 'string' && value.trim()) return new Date(value.trim()).getTime();
+  return NaN;
 }
 
-function renderImages() {
-  const container = document.getElementById('images-list');
-  const posts = state.data.posts.filter((p) => p.imageId && state.data.images[p.imageId]);
-  posts.sort((a, b) => b.createdAt - a.createdAt);
-  renderCardList(container, posts, { emptyMessage: '画像付きポストはありません。', highlightImage: true });
+function validateTags(tags, path, errors) {
+  if (tags == null) return [];
+  if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === 'string')) {
+    errors.push(`${path}.tags: 文字列の配列で指定してください`);
+    return [];
+  }
+  return tags.map((tag) => tag.trim().replace(/^#/, '')).filter(Boolean);
 }
 
-function renderPostCard(post, options = {}) {
-  const template = document.getElementById('post-template');
-  const node = template.content.firstElementChild.cloneNode(true);
-  const meta = node.querySelector('.card-meta');
-  const body = node.querySelector('.card-body');
-  const tagsEl = node.querySelector('.tag-list');
-  const actions = node.querySelector('.card-actions');
-  const repliesWrap = node.querySelector('.replies');
+function validateMessage(message, path, errors) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    errors.push(`${path}: オブジェクトではありません`);
+    return null;
+  }
+  const blocks = Array.isArray(message.texts) ? message.texts : [message];
+  if (!blocks.length) errors.push(`${path}.texts: テキストブロックがありません`);
+  const texts = blocks.map((block, index) => {
+    const blockPath = Array.isArray(message.texts) ? `${path}.texts[${index}]` : path;
+    const content = String(block?.content ?? '').trim();
+    if (!content) errors.push(`${blockPath}.content: テキストが空です`);
+    const language = block?.language == null ? 'ja' : resolveLanguage(block.language);
+    if (!language) errors.push(`${blockPath}.language: 「${block.language}」は使えない言語です`);
+    const speaker = resolveSpeaker(block?.speaker ?? block?.speaker_type);
+    if (!speaker) errors.push(`${blockPath}.speaker: 「${block.speaker ?? block.speaker_type}」は使えない話者です`);
+    return {
+      content,
+      language: language || 'ja',
+      pronunciation: String(block?.pronunciation ?? '').trim(),
+      speaker: speaker || 'none',
+      speaker_type: speaker || 'none',
+    };
+  });
 
-  meta.innerHTML = '';
-  const metaText = document.createElement('span');
-  metaText.className = 'card-meta-item';
-  metaText.textContent = `${formatDate(post.createdAt)}${post.updatedAt && post.updatedAt !== post.createdAt ? '（Edited）' : ''}`;
-  meta.appendChild(metaText);
+  let createdAt = null;
+  if (message.createdAt != null) {
+    createdAt = parseTimestamp(message.createdAt);
+    if (Number.isNaN(createdAt)) errors.push(`${path}.createdAt: 日時「${message.createdAt}」を読み取れません`);
+  }
+  const tags = validateTags(message.tags, path, errors);
+  if (message.image != null && !/^data:image\/[\w.+-]+;base64,/.test(String(message.image))) {
+    errors.push(`${path}.image: 画像の Data URL ではありません`);
+  }
+  return { texts, createdAt, tags, image: message.image || null };
+}
 
-  if (post.repostOf) {
-    const repostInfo = document.createElement('span');
-    repostInfo.className = 'card-meta-item repost-info';
-    repostInfo.innerHTML = '/ <img src="img/repost.svg" alt="リポスト" width="16" class="icon-inline"> Repost';
-    meta.appendChild(repostInfo);
+function validateConversations(conversations) {
+  const errors = [];
+  if (!conversations.length) errors.push('conversations: 会話がありません');
+  const items = conversations.map((conversation, index) => {
+    const path = `conversations[${index}]`;
+    if (!conversation || typeof conversation !== 'object' || !Array.isArray(conversation.messages) || !conversation.messages.length) {
+      errors.push(`${path}.messages: メッセージの配列がありません`);
+      return null;
+    }
+    const tags = validateTags(conversation.tags, path, errors);
+    const messages = conversation.messages.map((message, i) => validateMessage(message, `${path}.messages[${i}]`, errors));
+    return { tags, messages };
+  });
+  return { items, errors };
+}
+
+class ConversationImportError extends Error {
+  constructor(errors) {
+    super(`会話データに ${errors.length} 件の問題があるため、インポートしませんでした。`);
+    this.name = 'ConversationImportError';
+    this.errors = errors;
   }
+}
 
-  body.innerHTML = '';
-  if (post.isDeleted) {
-    body.innerHTML = '<div class="text-block">このポストは削除されました</div>';
-  } else {
-    post.texts.forEach((t) => {
-      const blockGroup = document.createElement('div');
-      blockGroup.className = 'text-block-group';
-      const speakerBadge = createSpeakerBadge(t.speaker_type || t.speaker || 'none');
-      blockGroup.appendChild(speakerBadge);
-
-      const block = document.createElement('div');
-      block.className = 'text-block';
-      const label = document.createElement('div');
-      label.className = 'text-label';
-      const languageLabel = getLanguageLabel(t.language);
-      const option = langOptions.find((opt) => opt.value === t.language);
-      if (option?.speakable) {
-        const play = document.createElement('button');
-        play.type = 'button';
-        play.className = 'text-action-button text-label-button';
-        play.innerHTML = `<img src="img/vol.svg" alt="" width="16" class="icon-inline"> ${languageLabel}`;
-        play.addEventListener('click', () => playSpeech(t.content, t.language));
-        label.appendChild(play);
-      } else {
-        const langText = document.createElement('span');
-        langText.textContent = languageLabel;
-        label.appendChild(langText);
-      }
-      const content = document.createElement('div');
-      content.className = 'text-content';
-      content.textContent = t.content;
-      block.append(label, content);
-
-      if (t.pronunciation) {
-        const pronunciation = document.createElement('div');
-        pronunciation.className = 'pronunciation';
-        pronunciation.textContent = t.pronunciation;
-        block.appendChild(pronunciation);
+// Images are decoded (and resized) before anything is written, so a broken one
+// stops the import the same way a validation error does.
+async function decodeConversationImages(items) {
+  const images = new Map();
+  const errors = [];
+  for (const [index, { messages }] of items.entries()) {
+    for (const [i, message] of messages.entries()) {
+      if (!message.image) continue;
+      try {
+        dataUrlToBlob(message.image);
+        const resized = await resizeIfNeeded(message.image);
+        // small images are kept as they are, so check that they decode at all
+        if (resized === message.image) await loadImage(resized);
+        images.set(message, dataUrlToBlob(resized));
+      } catch (e) {
+        errors.push(`conversations[${index}].messages[${i}].image: 画像を読み込めません（壊れているか、対応していない形式です）`);
       }
-      blockGroup.appendChild(block);
-      body.appendChild(blockGroup);
+    }
+  }
+  if (errors.length) throw new ConversationImportError(errors);
+  return images;
+}
+
+// All or nothing: nothing is written unless every conversation validates
+// and every image decodes.
+async function importConversations(parsed) {
+  const conversations = normalizeConversationInput(parsed);
+  if (!conversations) throw new Error('invalid conversation data');
+  const { items, errors } = validateConversations(conversations);
+  if (errors.length) throw new ConversationImportError(errors);
+  const images = await decodeConversationImages(items);
+  await saveSnapshot('before-import');
+
+  const toImageId = async (message) => (images.has(message) ? ensureImageId(images.get(message)) : null);
+  const now = Date.now();
+  const posts = [];
+  const replies = [];
+  let fallbackTime = now;
+  for (const { tags, messages } of items) {
+    const [first, ...rest] = messages;
+    const post = createImportedPost(first.texts, {
+      createdAt: first.createdAt ?? fallbackTime,
+      tags: [...tags, ...first.tags],
     });
+    post.imageId = await toImageId(first);
+    posts.push(post);
+    let previous = post.createdAt;
+    for (const message of rest) {
+      const reply = createImportedReply(post.id, message.texts, {
+        createdAt: message.createdAt ?? previous + 1,
+        tags: message.tags,
+      });
+      reply.imageId = await toImageId(message);
+      replies.push(reply);
+      previous = reply.createdAt;
+    }
+    fallbackTime = Math.max(fallbackTime, previous) + 1;
+  }
 
-    if (post.imageRemoved) {
-      const removed = document.createElement('div');
-      removed.className = 'helper';
-      removed.textContent = '画像は容量制限のため削除されました';
-      body.appendChild(removed);
-    } else if (post.imageId && state.data.images[post.imageId]) {
-      const img = document.createElement('img');
-      img.src = state.data.images[post.imageId];
-      img.alt = '投稿画像';
-      img.className = options.highlightImage ? 'image-thumb highlight' : 'image-thumb';
-      img.addEventListener('click', () => openImageViewer(img.src));
-      body.appendChild(img);
+  state.data.posts.push(...posts);
+  state.data.replies.push(...replies);
+  persistData();
+  render();
+  return { posts: posts.length, replies: replies.length };
+}
+
+// RFC 4180 style: quoted fields may contain the separator, "" and line breaks.
+// Each row also gets `line`, the source line it starts on (counting from firstLine),
+// so that messages still point at the right line when blank lines are dropped.
+function parseDelimited(text, separator, { firstLine = 1 } = {}) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = firstLine;
+  let rowLine = line;
+  const isLineBreak = (i) => text[i] === '\n' || (text[i] === '\r' && text[i + 1] !== '\n');
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (isLineBreak(i)) line += 1;
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      row.line = rowLine;
+      rows.push(row);
+      line += 1;
+      rowLine = line;
+      row = [];
+      field = '';
+    } else {
+      field += char;
     }
   }
+  if (field !== '' || row.length) {
+    row.push(field);
+    row.line = rowLine;
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
 
-  tagsEl.innerHTML = '';
-  post.tags.forEach((tag) => {
-    const chip = document.createElement('span');
-    chip.className = 'tag';
-    chip.textContent = `#${tag}`;
-    chip.addEventListener('click', () => {
-      document.querySelector('.tabs button[data-tab="search"]').click();
-      document.getElementById('search-input').value = `#${tag}`;
-      runSearch();
-    });
-    tagsEl.appendChild(chip);
+function detectSeparator(text, filename = '') {
+  if (/\.tsv$/i.test(filename)) return '\t';
+  if (/\.csv$/i.test(filename)) return ',';
+  const firstLine = text.split(/\r?\n/).find((line) => line.trim() && !line.startsWith('#')) || '';
+  return firstLine.includes('\t') ? '\t' : ',';
+}
+
+const CSV_COLUMN_ROLES = [
+  ['ignore', '使わない'],
+  ['text', 'テキスト'],
+  ['language', '言語'],
+  ['pronunciation', '発音'],
+  ['speaker', '話者'],
+  ['tags', 'タグ'],
+  ['date', '日付'],
+  ['group', 'グループ'],
+];
+
+const CSV_HEADER_ALIASES = {
+  text: ['text', 'content', 'sentence', 'テキスト', '本文', '文'],
+  language: ['language', 'lang', '言語'],
+  pronunciation: ['pronunciation', 'reading', '発音', '読み'],
+  speaker: ['speaker', 'speaker_type', '話者'],
+  tags: ['tags', 'tag', 'タグ'],
+  date: ['date', 'createdat', 'created_at', '日付', '日時'],
+  group: ['group', 'thread', 'グループ', 'スレッド'],
+};
+
+function resolveLanguage(value) {
+  const lower = String(value || '').trim().toLowerCase();
+  if (!lower) return null;
+  const languages = getLanguages({ includeHidden: true });
+  const match = languages.find((opt) => opt.value.toLowerCase() === lower || opt.label === value.trim())
+    || languages.find((opt) => opt.value.toLowerCase().split('-')[0] === lower.split('-')[0]);
+  return match ? match.value : null;
+}
+
+function resolveSpeaker(value) {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return 'none';
+  const match = speakerOptions.find((opt) => opt.value === trimmed.toLowerCase() || opt.label === trimmed);
+  return match ? match.value : null;
+}
+
+function guessColumnMapping(header) {
+  return header.map((cell) => {
+    const name = cell.trim().toLowerCase();
+    const role = Object.keys(CSV_HEADER_ALIASES).find((key) => CSV_HEADER_ALIASES[key].includes(name));
+    if (role) return { role, language: '' };
+    // a header that names a language ("ja", "韓国語") is a text column in that language
+    const language = resolveLanguage(cell);
+    return language ? { role: 'text', language } : { role: 'ignore', language: '' };
   });
-  tagsEl.style.display = post.tags.length ? '' : 'none';
+}
 
-  actions.innerHTML = '';
-  if (!post.isDeleted) {
-    const delBtn = document.createElement('button');
-    delBtn.className = 'card-action-button danger-action-button';
-    delBtn.innerHTML = '<img src="img/delete.svg" alt="削除" width="20" class="icon-inline">';
-    delBtn.addEventListener('click', () => deletePost(post.id));
+// Turns mapped rows into text blocks. A pronunciation column belongs to the
+// nearest text column on its left; a text column without its own language
+// uses the row's language column, then 'ja'.
+function parseCsvRow(cells, mapping) {
+  const errors = [];
+  const value = (index) => String(cells[index] ?? '').trim();
+  const indexOf = (role) => mapping.findIndex((column) => column.role === role);
+
+  const rowLanguageIndex = indexOf('language');
+  let rowLanguage = null;
+  if (rowLanguageIndex >= 0 && value(rowLanguageIndex)) {
+    rowLanguage = resolveLanguage(value(rowLanguageIndex));
+    if (!rowLanguage) errors.push(`言語「${value(rowLanguageIndex)}」は使えません`);
+  }
 
-    const editBtn = document.createElement('button');
-    editBtn.className = 'card-action-button';
-    editBtn.innerHTML = '<img src="img/edit.svg" alt="編集" width="20" class="icon-inline">';
-    editBtn.addEventListener('click', () => openModal(buildPostForm({ mode: 'edit', targetPost: post }), '投稿を編集'));
+  const speakerIndex = indexOf('speaker');
+  const speaker = speakerIndex >= 0 ? resolveSpeaker(value(speakerIndex)) : 'none';
+  if (!speaker) errors.push(`話者「${value(speakerIndex)}」は使えません`);
+
+  const texts = [];
+  mapping.forEach((column, index) => {
+    if (column.role === 'text') {
+      texts.push({
+        content: value(index),
+        language: column.language || rowLanguage || 'ja',
+        pronunciation: '',
+        speaker: speaker || 'none',
+        speaker_type: speaker || 'none',
+      });
+    } else if (column.role === 'pronunciation' && texts.length) {
+      texts[texts.length - 1].pronunciation = value(index);
+    }
+  });
+  const filled = texts.filter((t) => t.content);
+  if (!texts.length) errors.push('テキストの列が選ばれていません');
+  else if (!filled.length) errors.push('テキストが空です');
+
+  const tagsIndex = indexOf('tags');
+  const tags = tagsIndex >= 0
+    ? value(tagsIndex).split(/[\s,、]+/).map((tag) => tag.replace(/^#/, '')).filter(Boolean)
+    : [];
+
+  const dateIndex = indexOf('date');
+  let createdAt = null;
+  if (dateIndex >= 0 && value(dateIndex)) {
+    createdAt = new Date(value(dateIndex).replace(/\//g, '-')).getTime();
+    if (Number.isNaN(createdAt)) {
+      errors.push(`日付「${value(dateIndex)}」を読み取れません`);
+      createdAt = null;
+    }
+  }
 
-    const repostBtn = document.createElement('button');
-    repostBtn.className = 'card-action-button repost-action-button';
-    repostBtn.innerHTML = '<img src="img/repost.svg" alt="リポスト" width="20" class="icon-inline">';
-    repostBtn.addEventListener('click', () => {
-      const duplicate = { ...post, repostOf: post.id };
-      openModal(buildPostForm({ mode: 'create', targetPost: duplicate }), 'リポスト');
+  const groupIndex = indexOf('group');
+  return {
+    texts: filled,
+    tags,
+    createdAt,
+    group: groupIndex >= 0 ? value(groupIndex) : '',
+    errors,
+  };
+}
+
+// Rows that share a group value become one post (first row) and its replies.
+function buildCsvImport(rows, mapping, { grouped = false } = {}) {
+  const parsed = rows.map((cells) => ({ ...parseCsvRow(cells, mapping), line: cells.line }));
+  if (grouped && !mapping.some((column) => column.role === 'group')) {
+    parsed.forEach((row) => row.errors.push('グループの列が選ばれていません'));
+  }
+  const now = Date.now();
+  const posts = [];
+  const replies = [];
+  const groups = new Map();
+  parsed.forEach((row, index) => {
+    if (row.errors.length) return;
+    const createdAt = row.createdAt ?? now + index;
+    const key = grouped && row.group ? row.group : null;
+    const parent = key ? groups.get(key) : null;
+    if (parent) {
+      replies.push(createImportedReply(parent.id, row.texts, { createdAt: Math.max(createdAt, parent.createdAt), tags: row.tags }));
+      return;
+    }
+    const post = createImportedPost(row.texts, { createdAt, tags: row.tags });
+    posts.push(post);
+    if (key) groups.set(key, post);
+  });
+  return { parsed, posts, replies };
+}
+
+function buildCsvImportView(text, filename, { onApplied } = {}) {
+  const separator = detectSeparator(text, filename);
+  // Anki style "#key:value" header lines are skipped; a row like "#旅行,…" is data
+  const body = text.replace(/^(#[a-z ]+:[^\n]*\n)+/i, '');
+  const skippedLines = text.slice(0, text.length - body.length).split('\n').length - 1;
+  const rows = parseDelimited(body, separator, { firstLine: skippedLines + 1 });
+  const container = document.createElement('div');
+  container.className = 'modal-body-section import-preview';
+  if (!rows.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = '読み込める行がありません。';
+    container.appendChild(empty);
+    return container;
+  }
+
+  const columnCount = Math.max(...rows.map((row) => row.length));
+  const guessed = guessColumnMapping(rows[0]);
+  const looksLikeHeader = guessed.some((column) => column.role !== 'ignore');
+  const mapping = Array.from({ length: columnCount }, (_, index) => (
+    looksLikeHeader && guessed[index] ? { ...guessed[index] } : { role: index === 0 ? 'text' : 'ignore', language: '' }
+  ));
+
+  const headerToggle = createCheckboxGroup([{ value: 'header', label: '1行目は見出し' }], 'csv-options');
+  headerToggle.querySelector('input').checked = looksLikeHeader;
+  const groupToggle = createCheckboxGroup([{ value: 'group', label: 'グループ列が同じ行を1つのポスト＋リプライにまとめる' }], 'csv-options');
+  groupToggle.querySelector('input').checked = mapping.some((column) => column.role === 'group');
+  container.append(headerToggle, groupToggle);
+
+  const mappingTable = document.createElement('div');
+  mappingTable.className = 'csv-mapping';
+  const languageChoices = [['', '言語列に従う'], ...getLanguages().map((opt) => [opt.value, opt.label])];
+  mapping.forEach((column, index) => {
+    const row = document.createElement('div');
+    row.className = 'csv-mapping-row';
+    const name = document.createElement('div');
+    name.className = 'csv-column-name';
+    name.textContent = `${index + 1}列目：${rows[0][index] || ''}`;
+    const roleSelect = createSelect(CSV_COLUMN_ROLES, column.role);
+    const languageSelect = createSelect(languageChoices, column.language);
+    languageSelect.hidden = column.role !== 'text';
+    roleSelect.addEventListener('change', () => {
+      column.role = roleSelect.value;
+      languageSelect.hidden = column.role !== 'text';
+    });
+    languageSelect.addEventListener('change', () => {
+      column.language = languageSelect.value;
+    });
+    row.append(name, roleSelect, languageSelect);
+    mappingTable.appendChild(row);
+  });
+  container.appendChild(mappingTable);
+
+  const summary = document.createElement('p');
+  summary.className = 'helper';
+  const preview = document.createElement('table');
+  preview.className = 'import-summary csv-preview';
+  container.append(summary, preview);
+
+  // rows with errors are always listed; only the OK rows are cut off
+  const PREVIEW_LIMIT = 50;
+  let result = null;
+  const update = () => {
+    const hasHeader = headerToggle.querySelector('input').checked;
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    result = buildCsvImport(dataRows, mapping, { grouped: groupToggle.querySelector('input').checked });
+    const errorCount = result.parsed.filter((row) => row.errors.length).length;
+    summary.textContent = `${result.posts.length} 件のポストと ${result.replies.length} 件のリプライを作成します。`
+      + (errorCount ? `エラーの ${errorCount} 行は取り込みません。` : '');
+    preview.innerHTML = '';
+    let shownOk = 0;
+    result.parsed.forEach((row) => {
+      if (!row.errors.length && shownOk++ >= PREVIEW_LIMIT) return;
+      const tr = preview.insertRow();
+      tr.className = row.errors.length ? 'csv-row-error' : '';
+      tr.insertCell().textContent = row.line;
+      tr.insertCell().textContent = row.texts.map((t) => `[${t.language}] ${t.content}`).join(' / ');
+      tr.insertCell().textContent = row.errors.length ? row.errors.join('、') : 'OK';
     });
+    if (shownOk > PREVIEW_LIMIT) {
+      preview.insertRow().insertCell().textContent = `ほか エラーのない ${shownOk - PREVIEW_LIMIT} 行`;
+    }
+  };
+  container.addEventListener('change', update);
+  update();
 
-    const replyBtn = document.createElement('button');
-    replyBtn.className = 'card-action-button';
-    replyBtn.innerHTML = '<img src="img/reply.svg" alt="返信" width="20" class="icon-inline">';
-    replyBtn.addEventListener('click', () => openModal(buildPostForm({ mode: 'reply', parentId: post.id }), '返信'));
+  const actions = document.createElement('div');
+  actions.className = 'trash-actions';
+  const applyBtn = document.createElement('button');
+  applyBtn.type = 'button';
+  applyBtn.className = 'primary-button trash-action-button';
+  applyBtn.textContent = '取り込む';
+  applyBtn.addEventListener('click', async () => {
+    if (!result.posts.length) {
+      alert('取り込める行がありません');
+      return;
+    }
+    applyBtn.disabled = true;
+    try {
+      await saveSnapshot('before-import');
+      state.data.posts.push(...result.posts);
+      state.data.replies.push(...result.replies);
+      persistData();
+      render();
+      closeModal();
+      if (onApplied) onApplied();
+    } catch (e) {
+      console.error('Failed to import data', e);
+      alert(describeImportError(e));
+      applyBtn.disabled = false;
+    }
+  });
+  actions.appendChild(applyBtn);
+  container.appendChild(actions);
+  return container;
+}
+
+function importDelimitedFile(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    openModal(buildCsvImportView(reader.result, file.name), 'CSV / TSV インポート');
+  };
+  reader.readAsText(file);
+}
+
+function collectTags() {
+  const tags = new Set();
+  state.data.posts.filter((p) => !p.isDeleted).forEach((p) => p.tags.forEach((tag) => tags.add(tag)));
+  return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+function createCheckboxGroup(options, className) {
+  const group = document.createElement('div');
+  group.className = `filter-checkboxes ${className}`;
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('label');
+    option.className = 'filter-checkbox';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = value;
+    option.append(input, label);
+    group.appendChild(option);
+  });
+  return group;
+}
+
+// Shared by the export dialogs. An empty tag/language selection means "all".
+function createPostFilterForm() {
+  const form = document.createElement('div');
+  form.className = 'post-filter';
+
+  const addRow = (label, ...children) => {
+    const row = document.createElement('div');
+    row.className = 'post-filter-row';
+    const title = document.createElement('div');
+    title.className = 'post-filter-label';
+    title.textContent = label;
+    row.append(title, ...children);
+    form.appendChild(row);
+  };
 
-    const likeBtn = document.createElement('button');
-    likeBtn.className = 'card-action-button';
-    likeBtn.innerHTML = post.liked
-      ? '<img src="img/hart_on.svg" alt="いいね中" width="20" class="icon-inline">'
-      : '<img src="img/hart_off.svg" alt="いいね" width="20" class="icon-inline">';
-    if (post.liked) likeBtn.classList.add('liked');
-    likeBtn.addEventListener('click', () => toggleLike(post.id));
+  const fromInput = document.createElement('input');
+  fromInput.type = 'date';
+  const toInput = document.createElement('input');
+  toInput.type = 'date';
+  const range = document.createElement('div');
+  range.className = 'post-filter-range';
+  range.append(fromInput, '〜', toInput);
+  addRow('期間', range);
+
+  const tags = collectTags();
+  const tagGroup = createCheckboxGroup(tags.map((tag) => ({ value: tag, label: `#${tag}` })), 'filter-tags');
+  if (tags.length) addRow('タグ', tagGroup);
+
+  const languageGroup = createCheckboxGroup(getLanguages(), 'filter-languages');
+  addRow('言語', languageGroup);
+
+  const flags = createCheckboxGroup([
+    { value: 'liked', label: 'いいねのみ' },
+    { value: 'search', label: '現在の検索結果のみ' },
+  ], 'filter-flags');
+  addRow('条件', flags);
+
+  const checked = (group) => [...group.querySelectorAll('input:checked')].map((input) => input.value);
+  const getFilter = () => ({
+    from: fromInput.value ? new Date(`${fromInput.value}T00:00:00`).getTime() : null,
+    to: toInput.value ? new Date(`${toInput.value}T00:00:00`).getTime() + DAY_MS : null,
+    tags: checked(tagGroup),
+    languages: checked(languageGroup),
+    likedOnly: checked(flags).includes('liked'),
+    searchOnly: checked(flags).includes('search'),
+  });
+  return { element: form, getFilter };
+}
 
-    actions.append(delBtn, editBtn, repostBtn, replyBtn, likeBtn);
+function filterPosts(filter) {
+  let posts = filter.searchOnly
+    ? searchPosts(getSearchQuery(), { likedOnly: isSearchLikeFilterActive() })
+    : state.data.posts.filter((p) => !p.isDeleted);
+  if (filter.from) posts = posts.filter((p) => p.createdAt >= filter.from);
+  if (filter.to) posts = posts.filter((p) => p.createdAt < filter.to);
+  if (filter.tags.length) {
+    const tags = new Set(filter.tags.map((tag) => tag.toLowerCase()));
+    posts = posts.filter((p) => p.tags.some((tag) => tags.has(tag.toLowerCase())));
+  }
+  if (filter.languages.length) {
+    posts = posts.filter((p) => p.texts.some((t) => filter.languages.includes(t.language)));
   }
+  if (filter.likedOnly) posts = posts.filter((p) => p.liked);
+  return posts;
+}
 
-  const rels = state.data.replies
-    .filter((r) => r.postId === post.id)
-    .sort((a, b) => a.createdAt - b.createdAt);
-  repliesWrap.innerHTML = '';
-  rels.forEach((reply) => {
-    const card = document.createElement('div');
-    card.className = 'reply-card';
-    const metaRow = document.createElement('div');
-    metaRow.className = 'card-meta';
-    const metaText = document.createElement('span');
-    metaText.className = 'card-meta-item';
-    metaText.textContent = formatDate(reply.createdAt);
-    metaRow.appendChild(metaText);
-    const bodyRow = document.createElement('div');
-    bodyRow.className = 'card-body';
-    reply.texts.forEach((t) => {
-      const blockGroup = document.createElement('div');
-      blockGroup.className = 'text-block-group';
-      const speakerBadge = createSpeakerBadge(t.speaker_type || t.speaker || 'none');
-      blockGroup.appendChild(speakerBadge);
-
-      const block = document.createElement('div');
-      block.className = 'text-block';
-      const label = document.createElement('div');
-      label.className = 'text-label';
-      const languageLabel = getLanguageLabel(t.language);
-      const option = langOptions.find((opt) => opt.value === t.language);
-      if (option?.speakable) {
-        const play = document.createElement('button');
-        play.type = 'button';
-        play.className = 'text-action-button text-label-button';
-        play.innerHTML = `<img src="img/vol.svg" alt="" width="16" class="icon-inline"> ${languageLabel}`;
-        play.addEventListener('click', () => playSpeech(t.content, t.language));
-        label.appendChild(play);
-      } else {
-        const langText = document.createElement('span');
-        langText.textContent = languageLabel;
-        label.appendChild(langText);
-      }
-      const content = document.createElement('div');
-      content.className = 'text-content';
-      content.textContent = t.content;
-      block.append(label, content);
-      if (t.pronunciation) {
-        const pronunciation = document.createElement('div');
-        pronunciation.className = 'pronunciation';
-        pronunciation.textContent = t.pronunciation;
-        block.appendChild(pronunciation);
-      }
-      blockGroup.appendChild(block);
-      bodyRow.appendChild(blockGroup);
+const isFilterEmpty = (filter) => !filter.from && !filter.to && !filter.tags.length
+  && !filter.languages.length && !filter.likedOnly && !filter.searchOnly;
+
+// Reposted originals come along so that the exported reposts still render,
+// and so do the vocabulary entries that appear in the exported texts.
+function buildPartialData(posts) {
+  const ids = new Set(posts.map((p) => p.id));
+  const originals = state.data.posts.filter((p) => !ids.has(p.id) && posts.some((post) => post.repostOf === p.id));
+  const selected = [...posts, ...originals];
+  const selectedIds = new Set(selected.map((p) => p.id));
+  const replies = state.data.replies.filter((r) => selectedIds.has(r.postId));
+  const images = {};
+  const recordings = {};
+  [...selected, ...replies].forEach((item) => {
+    if (item.imageId && state.data.images[item.imageId]) images[item.imageId] = state.data.images[item.imageId];
+    item.texts.forEach(({ recordingId }) => {
+      if (recordingId && state.data.recordings[recordingId]) recordings[recordingId] = state.data.recordings[recordingId];
     });
-    if (reply.imageId && state.data.images[reply.imageId]) {
-      const img = document.createElement('img');
-      img.src = state.data.images[reply.imageId];
-      img.className = 'image-thumb';
-      img.alt = 'リプライ画像';
-      img.addEventListener('click', () => openImageViewer(img.src));
-      bodyRow.appendChild(img);
-    }
+  });
+  const exported = new Set([...selected, ...replies]);
+  const vocabulary = state.data.vocabulary
+    .filter((entry) => findVocabularyBacklinks(entry).some(({ item }) => exported.has(item)));
+  return {
+    version: DATA_VERSION,
+    posts: selected,
+    replies,
+    trash: [],
+    tombstones: [],
+    vocabulary,
+    images,
+    recordings,
+  };
+}
 
-    const actionsRow = document.createElement('div');
-    actionsRow.className = 'card-actions reply-card-actions';
-    const delReply = document.createElement('button');
-    delReply.className = 'card-action-button danger-action-button';
-    delReply.innerHTML = '<img src="img/delete.svg" alt="削除" width="20" class="icon-inline">';
-    delReply.addEventListener('click', () => deleteReply(reply.id));
-    const editReply = document.createElement('button');
-    editReply.className = 'card-action-button';
-    editReply.innerHTML = '<img src="img/edit.svg" alt="編集" width="20" class="icon-inline">';
-    editReply.addEventListener('click', () => openModal(buildPostForm({ mode: 'edit', targetPost: reply }), 'リプライを編集'));
-    actionsRow.append(delReply, editReply);
+function formatFileTimestamp(ts = Date.now()) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+}
 
-    card.append(metaRow, bodyRow, actionsRow);
-    repliesWrap.appendChild(card);
-  });
-  repliesWrap.style.display = rels.length ? '' : 'none';
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
-  return node;
+const ENCRYPTED_BACKUP_FORMAT = 'lang-sns-encrypted';
+const PBKDF2_ITERATIONS = 310000;
+// The count comes from the file, so a hostile one could stall the tab for minutes.
+const PBKDF2_MAX_ITERATIONS = PBKDF2_ITERATIONS * 10;
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  // chunked to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
 }
 
-function openImageViewer(src) {
-  const viewer = document.getElementById('image-viewer');
-  const img = document.getElementById('full-image');
-  img.src = src;
-  showModalElement(viewer);
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return bytes;
 }
 
-function closeImageViewer() {
-  hideModalElement(document.getElementById('image-viewer'));
+async function deriveBackupKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
 }
 
-function deletePost(id) {
-  const post = state.data.posts.find((p) => p.id === id);
-  if (!post) return;
-  const confirmed = window.confirm('このポストを削除しますか？');
-  if (!confirmed) return;
-  const hasReplies = state.data.replies.some((r) => r.postId === id);
-  if (hasReplies) {
-    post.isDeleted = true;
-    post.texts = [{ content: '', language: 'ja' }];
-  } else {
-    removeImageIfUnused(post.imageId);
-    state.data.posts = state.data.posts.filter((p) => p.id !== id);
+async function encryptBackup(text, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const cipherText = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data: bytesToBase64(new Uint8Array(cipherText)),
+  };
+}
+
+const isEncryptedBackup = (json) => json?.format === ENCRYPTED_BACKUP_FORMAT;
+
+// AES-GCM authenticates the ciphertext, so a wrong passphrase fails here
+// instead of producing garbage.
+async function decryptBackup(envelope, passphrase) {
+  if (envelope.version !== 1 || envelope.kdf?.name !== 'PBKDF2' || envelope.cipher?.name !== 'AES-GCM') {
+    throw new Error('unsupported envelope');
   }
-  persistData();
-  render();
+  const { iterations } = envelope.kdf;
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > PBKDF2_MAX_ITERATIONS) {
+    throw new Error('unsupported iteration count');
+  }
+  const key = await deriveBackupKey(passphrase, base64ToBytes(envelope.kdf.salt), iterations);
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv) }, key, base64ToBytes(envelope.data));
+  return new TextDecoder().decode(plain);
 }
 
-function deleteReply(id) {
-  const target = state.data.replies.find((r) => r.id === id);
-  if (!target) return;
-  const confirmed = window.confirm('このリプライを削除しますか？');
-  if (!confirmed) return;
-  removeImageIfUnused(target.imageId);
-  state.data.replies = state.data.replies.filter((r) => r.id !== id);
-  persistData();
-  render();
+function createPassphraseInput(placeholder) {
+  const input = document.createElement('input');
+  input.type = 'password';
+  input.autocomplete = 'new-password';
+  input.placeholder = placeholder;
+  input.className = 'passphrase-input';
+  return input;
 }
 
-function toggleLike(id) {
-  const post = state.data.posts.find((p) => p.id === id);
-  if (!post || post.isDeleted) return;
-  post.liked = !post.liked;
-  post.likedAt = post.liked ? Date.now() : null;
-  persistData();
-  render();
+function buildPassphraseView(envelope, options) {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section export-panel';
+  const helper = document.createElement('p');
+  helper.className = 'helper';
+  helper.textContent = 'このバックアップは暗号化されています。エクスポート時のパスフレーズを入力してください。';
+  const input = createPassphraseInput('パスフレーズ');
+  input.autocomplete = 'current-password';
+  const error = document.createElement('p');
+  error.className = 'helper passphrase-error';
+  error.hidden = true;
+
+  const actions = document.createElement('div');
+  actions.className = 'trash-actions';
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'button';
+  submitBtn.className = 'primary-button trash-action-button';
+  submitBtn.textContent = '復号して続ける';
+  const submit = async () => {
+    if (!input.value) return;
+    submitBtn.disabled = true;
+    error.hidden = true;
+    let text;
+    try {
+      text = await decryptBackup(envelope, input.value);
+    } catch (e) {
+      error.textContent = 'パスフレーズが違うか、ファイルが壊れています。';
+      error.hidden = false;
+      submitBtn.disabled = false;
+      return;
+    }
+    try {
+      await openImportPreview(JSON.parse(text), options);
+    } catch (e) {
+      console.error('Failed to import data', e);
+      closeModal();
+      alert(describeImportError(e));
+    }
+  };
+  submitBtn.addEventListener('click', submit);
+  input.addEventListener('keydown', (e) => { if (e.key === 'Enter') submit(); });
+  actions.appendChild(submitBtn);
+  container.append(helper, input, error, actions);
+  return container;
 }
 
-function toggleSearchLikeFilter() {
-  const btn = document.getElementById('search-like-btn');
-  if (!btn) return;
-  const nextState = !btn.classList.contains('active');
-  btn.classList.toggle('active', nextState);
-  btn.setAttribute('aria-pressed', nextState);
-  const icon = btn.querySelector('img');
-  if (icon) icon.src = nextState ? 'img/hart_on.svg' : 'img/hart_off.svg';
+async function exportData(data = state.data, { partial = false, passphrase = '' } = {}) {
+  const serialized = await serializeData(data);
+  const name = `${partial ? 'lang-sns-export' : 'lang-sns-backup'}${passphrase ? '-encrypted' : ''}`;
+  const json = passphrase
+    ? JSON.stringify(await encryptBackup(JSON.stringify(serialized), passphrase), null, 2)
+    : JSON.stringify(serialized, null, 2);
+  downloadFile(json, `${name}-${formatFileTimestamp()}.json`, 'application/json');
 }
 
-function isSearchLikeFilterActive() {
-  return document.getElementById('search-like-btn')?.classList.contains('active');
+function buildExportView() {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section export-panel';
+  const { element, getFilter } = createPostFilterForm();
+  container.appendChild(element);
+
+  const count = document.createElement('p');
+  count.className = 'helper';
+  const updateCount = () => {
+    const filter = getFilter();
+    count.textContent = isFilterEmpty(filter)
+      ? 'すべてのデータ（ゴミ箱・設定を含む）をバックアップします。'
+      : `${filterPosts(filter).length} 件のポストと、そのリプライ・画像を書き出します。`;
+  };
+  element.addEventListener('change', updateCount);
+  updateCount();
+  container.appendChild(count);
+
+  const encryption = document.createElement('div');
+  encryption.className = 'post-filter-row';
+  const encryptionLabel = document.createElement('div');
+  encryptionLabel.className = 'post-filter-label';
+  encryptionLabel.textContent = '暗号化（任意）';
+  const passphraseInput = createPassphraseInput('パスフレーズ');
+  const confirmInput = createPassphraseInput('パスフレーズ（確認）');
+  const encryptionHelp = document.createElement('p');
+  encryptionHelp.className = 'helper';
+  encryptionHelp.textContent = 'パスフレーズを忘れると復元できません。';
+  encryption.append(encryptionLabel, passphraseInput, confirmInput, encryptionHelp);
+  container.appendChild(encryption);
+
+  const actions = document.createElement('div');
+  actions.className = 'trash-actions';
+  const exportBtn = document.createElement('button');
+  exportBtn.type = 'button';
+  exportBtn.className = 'primary-button trash-action-button';
+  exportBtn.textContent = 'エクスポート';
+  exportBtn.addEventListener('click', async () => {
+    const filter = getFilter();
+    const passphrase = passphraseInput.value;
+    if (passphrase !== confirmInput.value) {
+      alert('パスフレーズが一致しません');
+      return;
+    }
+    try {
+      if (isFilterEmpty(filter)) {
+        await exportData(state.data, { passphrase });
+      } else {
+        const posts = filterPosts(filter);
+        if (!posts.length) {
+          alert('条件に合うポストがありません');
+          return;
+        }
+        await exportData(buildPartialData(posts), { partial: true, passphrase });
+      }
+      closeModal();
+    } catch (e) {
+      console.error('Failed to export data', e);
+      alert('エクスポートに失敗しました');
+    }
+  });
+  actions.appendChild(exportBtn);
+  container.appendChild(actions);
+  return container;
 }
 
-function runSearch() {
-  const query = document.getElementById('search-input').value.trim();
-  const container = document.getElementById('search-results');
-  const terms = query.split(/\s+/).filter(Boolean);
-  let tagFilter = null;
-  const textTerms = [];
-  terms.forEach((t) => {
-    if (t.startsWith('#')) tagFilter = t.slice(1);
-    else textTerms.push(t);
+function openExport() {
+  openModal(buildExportView(), 'エクスポート');
+}
+
+function createSelect(options, value) {
+  const select = document.createElement('select');
+  select.className = 'language-select-input';
+  options.forEach(([optionValue, label]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = label;
+    select.appendChild(option);
   });
+  select.value = value;
+  return select;
+}
 
-  let results = state.data.posts.filter((p) => !p.isDeleted);
-  if (tagFilter) {
-    const tagLower = tagFilter.toLowerCase();
-    results = results.filter((p) => p.tags.some((tag) => tag.toLowerCase() === tagLower));
-  }
-  if (textTerms.length) {
-    const lowerTerms = textTerms.map((t) => t.toLowerCase());
-    results = results.filter((p) => lowerTerms.every((term) => p.texts.some((t) => t.content.toLowerCase().includes(term))));
-  }
-  if (isSearchLikeFilterActive()) {
-    results = results.filter((p) => p.liked);
-  }
-  results.sort((a, b) => b.createdAt - a.createdAt);
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
 
-  renderCardList(container, results, { emptyMessage: '検索結果がありません。' });
+function formatCardSide(post, language, withPronunciation) {
+  return post.texts
+    .filter((t) => t.language === language && t.content.trim())
+    .map((t) => {
+      const text = escapeHtml(stripClozeMarks(t.content.trim())).replace(/\r?\n/g, '<br>');
+      return withPronunciation && t.pronunciation ? `${text}<br>${escapeHtml(t.pronunciation)}` : text;
+    })
+    .join('<br>');
 }
 
-function getUpdatedTimestamp(item) {
-  return (item?.updatedAt || item?.createdAt || 0);
+// Anki splits tags on whitespace.
+const toAnkiTag = (tag) => tag.trim().replace(/\s+/g, '_');
+
+function buildFlashcards(posts, { front, back, pronunciation }) {
+  return [...posts]
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map((post) => ({
+      front: formatCardSide(post, front, pronunciation === 'front'),
+      back: formatCardSide(post, back, pronunciation === 'back'),
+      tags: post.tags.map(toAnkiTag).filter(Boolean).join(' '),
+    }))
+    .filter((card) => card.front && card.back);
 }
 
-function mergeCollections(existing, incoming) {
-  const map = new Map();
-  (existing || []).forEach((item) => {
-    if (item?.id == null) return;
-    map.set(item.id, item);
+function formatDelimitedField(value, separator) {
+  if (value.includes(separator) || /["\r\n]/.test(value)) return `"${value.replace(/"/g, '""')}"`;
+  return value;
+}
+
+// Uses Anki's file headers (2.1.54+) so that the import dialog is preconfigured.
+function buildFlashcardFile(cards, { format, includeTags }) {
+  const separator = format === 'csv' ? ',' : '\t';
+  const lines = [
+    `#separator:${format === 'csv' ? 'comma' : 'tab'}`,
+    '#html:true',
+    ...(includeTags ? ['#tags column:3'] : []),
+  ];
+  cards.forEach((card) => {
+    const fields = includeTags ? [card.front, card.back, card.tags] : [card.front, card.back];
+    lines.push(fields.map((field) => formatDelimitedField(field, separator)).join(separator));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function buildFlashcardView() {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section export-panel';
+
+  const languages = getLanguages().map((opt) => [opt.value, opt.label]);
+  const defaultBack = getLanguages().find((opt) => opt.speakable)?.value || languages[0]?.[0];
+  const frontSelect = createSelect(languages, 'ja');
+  const backSelect = createSelect(languages, defaultBack);
+  const pronunciationSelect = createSelect([
+    ['back', '発音を裏面に付ける'],
+    ['front', '発音を表面に付ける'],
+    ['none', '発音を付けない'],
+  ], 'back');
+  const formatSelect = createSelect([['tsv', 'TSV（タブ区切り）'], ['csv', 'CSV（カンマ区切り）']], 'tsv');
+  const tagsToggle = createCheckboxGroup([{ value: 'tags', label: 'タグをAnkiのタグとして書き出す' }], 'flashcard-options');
+  tagsToggle.querySelector('input').checked = true;
+
+  const mapping = document.createElement('div');
+  mapping.className = 'post-filter-row';
+  const mappingTitle = document.createElement('div');
+  mappingTitle.className = 'post-filter-label';
+  mappingTitle.textContent = 'カード';
+  const sides = document.createElement('div');
+  sides.className = 'post-filter-range';
+  sides.append('表', frontSelect, '裏', backSelect);
+  mapping.append(mappingTitle, sides, pronunciationSelect, formatSelect, tagsToggle);
+  container.appendChild(mapping);
+
+  const { element, getFilter } = createPostFilterForm();
+  container.appendChild(element);
+
+  const getOptions = () => ({
+    front: frontSelect.value,
+    back: backSelect.value,
+    pronunciation: pronunciationSelect.value,
+    format: formatSelect.value,
+    includeTags: tagsToggle.querySelector('input').checked,
   });
+  const count = document.createElement('p');
+  count.className = 'helper';
+  const updateCount = () => {
+    const options = getOptions();
+    count.textContent = options.front === options.back
+      ? '表と裏には別の言語を選んでください。'
+      : `${buildFlashcards(filterPosts(getFilter()), options).length} 枚のカードを書き出します（表と裏の両方の言語を含むポストのみ）。`;
+  };
+  container.addEventListener('change', updateCount);
+  updateCount();
+  container.appendChild(count);
 
-  (incoming || []).forEach((item) => {
-    if (item?.id == null) return;
-    if (!map.has(item.id)) {
-      map.set(item.id, item);
+  const actions = document.createElement('div');
+  actions.className = 'trash-actions';
+  const exportBtn = document.createElement('button');
+  exportBtn.type = 'button';
+  exportBtn.className = 'primary-button trash-action-button';
+  exportBtn.textContent = '書き出す';
+  exportBtn.addEventListener('click', () => {
+    const options = getOptions();
+    const cards = options.front === options.back ? [] : buildFlashcards(filterPosts(getFilter()), options);
+    if (!cards.length) {
+      alert('書き出せるカードがありません');
       return;
     }
-    const current = map.get(item.id);
-    const shouldReplace = getUpdatedTimestamp(item) > getUpdatedTimestamp(current);
-    map.set(item.id, shouldReplace ? { ...current, ...item } : current);
+    const type = options.format === 'csv' ? 'text/csv' : 'text/tab-separated-values';
+    downloadFile(buildFlashcardFile(cards, options), `lang-sns-cards-${formatFileTimestamp()}.${options.format}`, type);
+    closeModal();
   });
+  actions.appendChild(exportBtn);
+  container.appendChild(actions);
+  return container;
+}
 
-  return Array.from(map.values());
+function openFlashcardExport() {
+  openModal(buildFlashcardView(), '単語カード（Anki）');
 }
 
-function mergeImportedData(incoming) {
-  if (!incoming || typeof incoming !== 'object') throw new Error('invalid data');
-  const merged = { ...defaultData(), ...state.data };
+// Same replies as renderPostCard(), so a deleted post's placeholder keeps its thread.
+function getThreadReplies(post) {
+  return state.data.replies
+    .filter((r) => r.postId === post.id)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
 
-  merged.posts = mergeCollections(merged.posts, incoming.posts || []);
-  merged.replies = mergeCollections(merged.replies, incoming.replies || []);
-  merged.images = { ...merged.images };
-  Object.entries(incoming.images || {}).forEach(([id, dataUrl]) => {
-    if (!merged.images[id]) merged.images[id] = dataUrl;
-  });
+const getSpeakerLabel = (t) => {
+  const value = t.speaker_type || t.speaker || 'none';
+  return value === 'none' ? '' : speakerOptions.find((opt) => opt.value === value)?.label || value;
+};
 
-  const incomingLastId = Number(incoming.lastId) || 0;
-  const maxExistingId = Math.max(
-    0,
-    ...merged.posts.map((p) => Number(p.id) || 0),
-    ...merged.replies.map((r) => Number(r.id) || 0),
-    merged.lastId || 0,
-  );
-  merged.lastId = Math.max(maxExistingId, incomingLastId);
-  merged.version = DATA_VERSION;
+async function getImageDataUrl(imageId) {
+  const blob = imageId ? state.data.images[imageId] : null;
+  return blob ? readFileAsDataUrl(blob) : null;
+}
 
-  state.data = merged;
-  ensureSpeakerFields(state.data);
-  persistData();
-  render();
+function describeItemMeta(item, kind) {
+  const parts = [formatDate(item.createdAt)];
+  const edited = kind === 'post' ? item.updatedAt && item.updatedAt !== item.createdAt : item.revisions?.length;
+  if (edited) parts.push('（Edited）');
+  if (item.repostOf) parts.push('/ Repost');
+  return parts.join(' ');
 }
 
-function importFromJsonString(text) {
-  const json = JSON.parse(text);
-  mergeImportedData(json);
+function renderTextBlocksHtml(texts) {
+  return texts.map((t) => {
+    const speaker = getSpeakerLabel(t);
+    const pronunciation = t.pronunciation ? `<div class="pronunciation">${escapeHtml(t.pronunciation)}</div>` : '';
+    return `<div class="block"><div class="label">${speaker ? `<span class="speaker">${escapeHtml(speaker)}</span>` : ''}${escapeHtml(getLanguageLabel(t.language))}</div>`
+      + `<div class="content">${escapeHtml(stripClozeMarks(t.content)).replace(/\r?\n/g, '<br>')}</div>${pronunciation}</div>`;
+  }).join('\n');
 }
 
-function importConversationMessages(messages) {
-  if (!Array.isArray(messages) || messages.length === 0) {
-    throw new Error('invalid conversation data');
+async function buildThreadsHtml(posts, { title, includeImages }) {
+  const renderItem = async (item, kind) => {
+    const image = includeImages && !item.isDeleted ? await getImageDataUrl(item.imageId) : null;
+    const tags = item.tags?.length ? `<div class="tags">${item.tags.map((tag) => `#${escapeHtml(tag)}`).join(' ')}</div>` : '';
+    const blocks = item.isDeleted ? `<div class="block deleted">${DELETED_POST_TEXT}</div>` : renderTextBlocksHtml(item.texts);
+    return `<div class="meta">${escapeHtml(describeItemMeta(item, kind))}</div>\n${blocks}\n`
+      + `${image ? `<img src="${escapeHtml(image)}" alt="投稿画像">` : ''}${kind === 'post' ? tags : ''}`;
+  };
+  const threads = [];
+  for (const post of posts) {
+    const replies = [];
+    for (const reply of getThreadReplies(post)) {
+      replies.push(`<div class="reply">${await renderItem(reply, 'reply')}</div>`);
+    }
+    threads.push(`<article class="thread">\n${await renderItem(post, 'post')}\n${replies.join('\n')}\n</article>`);
   }
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; max-width: 720px; margin: 0 auto; padding: 20px; color: #1f2933; line-height: 1.6; }
+.thread { border-bottom: 1px solid #ccc; padding: 12px 0; break-inside: avoid; }
+.meta { font-size: 0.8em; color: #52606d; }
+.block { margin: 6px 0; }
+.label { font-size: 0.8em; color: #52606d; }
+.speaker { font-weight: bold; margin-right: 6px; }
+.pronunciation { font-size: 0.9em; color: #52606d; font-style: italic; }
+.deleted { color: #52606d; }
+.tags { font-size: 0.85em; color: #57a8ff; }
+.reply { margin-left: 24px; padding-left: 12px; border-left: 3px solid #e5e7eb; }
+img { max-width: 100%; max-height: 320px; margin: 6px 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(formatDate(Date.now()))} / ${posts.length} 件</p>
+${threads.join('\n')}
+</body>
+</html>
+`;
+}
 
-  const normalizeMessage = (msg) => {
-    if (!msg || typeof msg !== 'object') throw new Error('invalid message');
-    const content = String(msg.content || '').trim();
-    if (!content.length) throw new Error('content is required');
-    const speaker = msg.speaker || 'none';
-    return {
-      content,
-      language: msg.language || 'ja',
-      pronunciation: msg.pronunciation || '',
-      speaker,
-      speaker_type: speaker,
-    };
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+async function buildThreadsMarkdown(posts, { title, includeImages }) {
+  const renderItem = async (item, kind, heading) => {
+    const lines = [`${heading} ${escapeMarkdown(describeItemMeta(item, kind))}`, ''];
+    if (item.isDeleted) {
+      lines.push(`*${DELETED_POST_TEXT}*`, '');
+    } else {
+      item.texts.forEach((t) => {
+        const speaker = getSpeakerLabel(t);
+        lines.push(`**${speaker ? `${escapeMarkdown(speaker)}・` : ''}${escapeMarkdown(getLanguageLabel(t.language))}**`, '');
+        stripClozeMarks(t.content).split(/\r?\n/).forEach((line) => lines.push(`> ${escapeMarkdown(line)}`));
+        if (t.pronunciation) lines.push('>', `> *${escapeMarkdown(t.pronunciation)}*`);
+        lines.push('');
+      });
+    }
+    const image = includeImages && !item.isDeleted ? await getImageDataUrl(item.imageId) : null;
+    if (image) lines.push(`![投稿画像](${image})`, '');
+    if (kind === 'post' && item.tags.length) lines.push(item.tags.map((tag) => `\\#${escapeMarkdown(tag)}`).join(' '), '');
+    return lines.join('\n');
   };
+  const sections = [`# ${escapeMarkdown(title)}`, '', `${formatDate(Date.now())} / ${posts.length} 件`, ''];
+  for (const post of posts) {
+    sections.push('---', '', await renderItem(post, 'post', '##'));
+    for (const reply of getThreadReplies(post)) {
+      sections.push(await renderItem(reply, 'reply', '### ↳'));
+    }
+  }
+  return `${sections.join('\n').trimEnd()}\n`;
+}
 
-  const normalized = messages.map(normalizeMessage);
-  const now = Date.now();
-  const postId = nextId();
+function describeSearchCondition() {
+  const query = getSearchQuery();
+  const parts = [];
+  if (query) parts.push(`「${query}」`);
+  if (isSearchLikeFilterActive()) parts.push('いいねのみ');
+  return parts.join(' / ');
+}
 
-  const post = {
-    id: postId,
-    texts: [normalized[0]],
-    tags: extractTags([normalized[0]]),
-    createdAt: now,
-    updatedAt: now,
-    imageId: null,
-    imageRemoved: false,
-    isDeleted: false,
-    liked: false,
-    likedAt: null,
-    repostOf: null,
-  };
-  state.data.posts.push(post);
-
-  normalized.slice(1).forEach((text, index) => {
-    const timestamp = now + index + 1;
-    const reply = {
-      id: nextId(),
-      postId,
-      texts: [text],
-      tags: extractTags([text]),
-      createdAt: timestamp,
-      updatedAt: timestamp,
-      imageId: null,
-      isDeleted: false,
-    };
-    state.data.replies.push(reply);
+function buildPrintExportView() {
+  const container = document.createElement('div');
+  container.className = 'modal-body-section export-panel';
+
+  const formatSelect = createSelect([['html', 'HTML（ブラウザで開いて印刷）'], ['md', 'Markdown']], 'html');
+  const condition = describeSearchCondition();
+  const options = createCheckboxGroup([
+    ...(condition ? [{ value: 'search', label: `検索タブの条件 ${condition} で絞り込む` }] : []),
+    { value: 'images', label: '画像を埋め込む' },
+  ], 'print-options');
+  options.querySelectorAll('input').forEach((input) => {
+    input.checked = true;
   });
+  const checked = (value) => !!options.querySelector(`input[value="${value}"]:checked`);
+  const getPosts = () => (checked('search')
+    ? searchPosts(getSearchQuery(), { likedOnly: isSearchLikeFilterActive() })
+    : [...state.data.posts].sort((a, b) => b.createdAt - a.createdAt));
+
+  const count = document.createElement('p');
+  count.className = 'helper';
+  const updateCount = () => {
+    count.textContent = `${getPosts().length} 件のポストとそのリプライを、タイムラインと同じ順に書き出します。`;
+  };
+  options.addEventListener('change', updateCount);
+  updateCount();
+  container.append(formatSelect, options, count);
 
-  ensureSpeakerFields(state.data);
-  persistData();
-  render();
+  const actions = document.createElement('div');
+  actions.className = 'trash-actions';
+  const exportBtn = document.createElement('button');
+  exportBtn.type = 'button';
+  exportBtn.className = 'primary-button trash-action-button';
+  exportBtn.textContent = '書き出す';
+  exportBtn.addEventListener('click', async () => {
+    const posts = getPosts();
+    if (!posts.length) {
+      alert('書き出すポストがありません');
+      return;
+    }
+    const title = checked('search') ? `lang-sns 会話ログ ${condition}` : 'lang-sns 会話ログ';
+    const settings = { title, includeImages: checked('images') };
+    const filename = `lang-sns-threads-${formatFileTimestamp()}`;
+    exportBtn.disabled = true;
+    try {
+      if (formatSelect.value === 'md') {
+        downloadFile(await buildThreadsMarkdown(posts, settings), `${filename}.md`, 'text/markdown');
+      } else {
+        downloadFile(await buildThreadsHtml(posts, settings), `${filename}.html`, 'text/html');
+      }
+      closeModal();
+    } catch (e) {
+      console.error('Failed to export threads', e);
+      alert('書き出しに失敗しました');
+      exportBtn.disabled = false;
+    }
+  });
+  actions.appendChild(exportBtn);
+  container.appendChild(actions);
+  return container;
 }
 
-function exportData() {
-  const blob = new Blob([JSON.stringify(state.data, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'lang-sns-backup.json';
-  a.click();
-  URL.revokeObjectURL(url);
+function openPrintExport() {
+  openModal(buildPrintExportView(), '印刷用に書き出す');
 }
 
 function importData(file) {
   if (!file) return;
   const reader = new FileReader();
-  reader.onload = () => {
+  reader.onload = async () => {
     try {
-      importFromJsonString(reader.result);
+      await importFromJsonString(reader.result);
     } catch (e) {
-      alert('JSONの読み込みに失敗しました');
+      console.error('Failed to import data', e);
+      alert(describeImportError(e));
     }
   };
   reader.readAsText(file);
@@ -1320,9 +6212,16 @@ function setupTabs() {
       document.querySelectorAll('.tab-panel').forEach((panel) => {
         panel.classList.toggle('active', panel.id === state.currentTab);
       });
+      if (state.currentTab === 'review') {
+        renderReviewTab();
+      }
       if (state.currentTab === 'dashboard') {
         renderDashboard();
       }
+      if (state.currentTab === 'import') {
+        refreshStoragePanel();
+        renderSnapshotPanel();
+      }
     });
   });
 }
@@ -1336,14 +6235,28 @@ function setupGlobalEvents() {
   document.getElementById('image-close').addEventListener('click', closeImageViewer);
   document.getElementById('modal').addEventListener('click', (e) => { if (e.target.id === 'modal') closeModal(); });
   document.getElementById('image-viewer').addEventListener('click', (e) => { if (e.target.id === 'image-viewer') closeImageViewer(); });
-  document.getElementById('export-btn').addEventListener('click', exportData);
+  document.getElementById('export-btn').addEventListener('click', openExport);
+  document.getElementById('flashcard-btn').addEventListener('click', openFlashcardExport);
+  document.getElementById('print-btn').addEventListener('click', openPrintExport);
+  document.getElementById('voice-settings-btn').addEventListener('click', openVoiceSettings);
+  document.getElementById('language-settings-btn').addEventListener('click', openLanguageSettings);
+  window.speechSynthesis.addEventListener('voiceschanged', () => {
+    // voices load asynchronously; refresh the list if the settings are open
+    const view = document.querySelector('.voice-settings');
+    if (view) view.replaceWith(buildVoiceSettingsView());
+  });
+  document.getElementById('trash-btn').addEventListener('click', openTrash);
   document.getElementById('import-input').addEventListener('change', (e) => {
     importData(e.target.files[0]);
     e.target.value = '';
   });
+  document.getElementById('csv-import-input').addEventListener('change', (e) => {
+    importDelimitedFile(e.target.files[0]);
+    e.target.value = '';
+  });
   const importTextBtn = document.getElementById('import-text-btn');
   if (importTextBtn) {
-    importTextBtn.addEventListener('click', () => {
+    importTextBtn.addEventListener('click', async () => {
       const textarea = document.getElementById('import-textarea');
       const text = textarea?.value.trim();
       if (!text) {
@@ -1352,14 +6265,18 @@ function setupGlobalEvents() {
       }
       try {
         const parsed = JSON.parse(text);
-        if (Array.isArray(parsed)) {
-          importConversationMessages(parsed);
+        const clearTextarea = () => {
+          if (textarea) textarea.value = '';
+        };
+        if (isConversationData(parsed)) {
+          await importConversations(parsed);
+          clearTextarea();
         } else {
-          mergeImportedData(parsed);
+          await openJsonImport(parsed, { onApplied: clearTextarea });
         }
-        if (textarea) textarea.value = '';
       } catch (err) {
-        alert('JSONの読み込みに失敗しました');
+        console.error('Failed to import data', err);
+        alert(describeImportError(err));
       }
     });
   }
@@ -1367,7 +6284,19 @@ function setupGlobalEvents() {
   const likeFilterBtn = document.getElementById('search-like-btn');
   if (likeFilterBtn) likeFilterBtn.addEventListener('click', () => { toggleSearchLikeFilter(); runSearch(); });
   document.getElementById('search-input').addEventListener('keydown', (e) => { if (e.key === 'Enter') runSearch(); });
+  document.querySelectorAll('.review-view-button').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      state.reviewView = btn.dataset.view;
+      renderReviewTab();
+    });
+  });
+  document.addEventListener('selectionchange', updateVocabularySelection);
+  // the button is fixed to the viewport, so it follows the selection on scroll
+  document.addEventListener('scroll', updateVocabularySelection, { capture: true, passive: true });
   window.addEventListener('beforeunload', () => window.speechSynthesis.cancel());
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') takeDailySnapshot();
+  });
 }
 
 function registerServiceWorker() {
@@ -1378,8 +6307,11 @@ function registerServiceWorker() {
   }
 }
 
-function init() {
-  loadData();
+async function init() {
+  await loadData();
+  await takeDailySnapshot();
+  setupTabSync();
+  purgeExpiredTrash();
   setupTabs();
   setupGlobalEvents();
   registerServiceWorker();
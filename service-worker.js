@@ -1,4 +1,4 @@
-const CACHE_NAME = 'uni-v1.0.5';
+const CACHE_NAME = 'uni-v1.1.0';
 const ASSETS = [
   '/',
   '/index.html',
@@ -18,6 +18,8 @@ const ASSETS = [
   '/img/img_off.svg',
   '/img/repost.svg',
   '/img/reply.svg',
+  '/img/review_off.svg',
+  '/img/review_on.svg',
   '/img/search_on.svg',
   '/img/search_off.svg',
   '/img/vol.svg'